@@ -10,20 +10,163 @@ import { WeakRefSet } from 'weak-ref-collections'
 // Using a stack allows nested signals to function correctly
 const dependencyStack = []
 
+// Global stack of the Observers or scopes currently creating Observers
+// Observers created while an Observer is executing become its children
+// Children are stopped when their owner reruns or is stopped
+// Kept separate from the dependency stack since ownership still applies
+// inside hide blocks and computed values
+const ownerStack = []
+
 // Allows "protected" variables by letting Signals/Reactors/Observers unwrap
 // each others interfaces to access internal core variables
 // In the constructor of each of them, they will map their external interfaces
 // to their internal cores
 const signalCoreExtractor = new WeakMap()
 const reactorCoreExtractor = new WeakMap()
+// Observers and Computed values share one since they are both dependents
+const dependentCoreExtractor = new WeakMap()
+
+// Observers and computed values waiting to be triggered
+// Writes don't trigger dependents immediately
+// Instead dependents are scheduled here and then run together in a flush
+// - Running them lowest height first means a dependent only runs after
+//   the Observers and Computed values it reads the value of have settled,
+//   so it never sees a mix of old and new values through them
+//   Reactor properties written by Observers have no height so aren't covered
+// - Using a set deduplicates dependents so each runs at most once
+//   for every change upstream of it
+const scheduled = new Set()
+
+// Binary min heap ordering the schedule by height
+// so a flush can take the lowest dependent without scanning the whole set
+// Entries record the height they were queued at and a running count
+// which keeps dependents of equal height in the order they were scheduled
+// A dependent whose height changes while scheduled is queued again
+// so entries which are no longer scheduled or out of date are just skipped
+const scheduleQueue = []
+let scheduleCount = 0
+
+// Whether heap entry a should run before heap entry b
+const runsBefore = (a, b) =>
+  a.height < b.height || (a.height === b.height && a.order < b.order)
+
+// Queue a scheduled dependent at its current height
+const enqueue = (dependent) => {
+  const entry = { dependent, height: dependent.height, order: scheduleCount++ }
+  let index = scheduleQueue.push(entry) - 1
+  while (index > 0) {
+    const parent = (index - 1) >> 1
+    if (!runsBefore(entry, scheduleQueue[parent])) break
+    scheduleQueue[index] = scheduleQueue[parent]
+    index = parent
+  }
+  scheduleQueue[index] = entry
+}
+
+// Take the entry which runs first off the heap
+const dequeue = () => {
+  const first = scheduleQueue[0]
+  const last = scheduleQueue.pop()
+  if (scheduleQueue.length === 0) return first
+  let index = 0
+  for (;;) {
+    let child = index * 2 + 1
+    if (child >= scheduleQueue.length) break
+    if (
+      child + 1 < scheduleQueue.length &&
+      runsBefore(scheduleQueue[child + 1], scheduleQueue[child])
+    ) child += 1
+    if (!runsBefore(scheduleQueue[child], last)) break
+    scheduleQueue[index] = scheduleQueue[child]
+    index = child
+  }
+  scheduleQueue[index] = last
+  return first
+}
+
+// Observers with an asynchronous scheduler don't join the schedule directly
+// Each scheduler gets its own set of deferred Observers
+// The set is handed over to the schedule when the scheduler calls back
+// Until then repeated triggers are deduplicated by the set
+const deferred = new Map()
+
+// Built in schedulers Observers can be given by name
+// A scheduler is a function which is passed a callback and calls it later
+// Custom schedulers can be given as functions in the same shape
+// "sync" is the default which triggers Observers as part of the write
+const schedulers = {
+  sync: null,
+  microtask: (callback) => queueMicrotask(callback),
+  // Falls back to a timeout outside of browsers
+  animationFrame: (callback) =>
+    typeof globalThis.requestAnimationFrame === 'function'
+      ? globalThis.requestAnimationFrame(() => callback())
+      : setTimeout(callback, 16)
+}
+
+// How many "batch" calls are in progress
+// Scheduled dependents are only flushed once all batches are done
+let batchDepth = 0
+
+// Whether scheduled dependents are currently being flushed
+// Writes made while flushing just add to the schedule
+// instead of starting another flush
+let flushing = false
+
+// The dependent currently being run by a flush, and how far it is
+// down the chain of dependents triggering each other from the original write
+// Used to detect runaway chains of Observers triggering each other
+// e.g. A reads B.value and B reads A.value
+let flushingDependent = null
+let propagationDepth = 0
 
-// A batcher is used to postpone observer triggers and batch them together
-// When "batch" is called it adds sets a batcher to this global variable
-// When a Signal is updated it checks if a batcher is set
-// If it is, it adds that observer to this set instead of triggering it
-// At the end of the execution, the batch call then calls all the observers
-// Then clears the batcher again
-let batcher = null
+// Functions waiting for the current round of changes to settle
+// Run at the end of the flush after the outermost batch or write
+// so everything the changes triggered has already run
+// Used to group changes made together into one history entry
+let settledCallbacks = []
+
+// Journals of the transactions in progress
+// Every change made through a Reactor is added to all of them
+// so a failed transaction can revert exactly what it did
+const journals = []
+
+// Change records of failed transactions and whether one is reverting
+// History leaves out both the changes and their reverts
+// since together they change nothing
+const revertedChanges = new WeakSet()
+let reverting = false
+
+// Maximum length of a chain of Observers triggering each other
+// Exceeding this is treated as an indirect loop and throws a LoopError
+// Configurable through setMaxPropagationDepth
+let maxPropagationDepth = 100
+
+// Whether Observers record what caused them to run
+// Checked before doing any tracing work so it costs nothing when off
+// Configurable through setTracing
+let tracing = false
+// Function told about every traced Observer run
+let traceListener = null
+// The Reactor write whose Signals are currently being written
+// Lets traces name the property written instead of its Signal
+let tracedWrite = null
+
+// Function given the errors thrown by Observers without an onError option
+// Instead of them being thrown at whatever triggered the Observer
+// Configurable through setErrorHandler
+let errorHandler = null
+
+// Whether Observers and Reactor properties count how they are used
+// Checked before doing any profiling work so it costs nothing when off
+// Configurable through setProfiling
+let profiling = false
+// Usage counted while profiling
+// Observers and Computed values by their cores
+// Reactor properties by the core of their Reactor and then the property
+// Held strongly until reset so the report can list them
+const observerStats = new Map()
+const propertyStats = new Map()
 
 // Cache of objects to their reactor proxies
 // The same object should always get turned into the same Reactor
@@ -31,6 +174,155 @@ let batcher = null
 // across multiple reads of the same object
 const reactorCache = new WeakMap()
 
+// Objects marked with markRaw
+// These are never wrapped in Reactors
+const rawObjects = new WeakSet()
+
+// Wrap a value in a Reactor if it's an object
+// Used whenever values are handed out so nested reads are tracked too
+const wrap = (output) => {
+  // If it's not an object then just return it right away
+  // Cleaner and faster than the alternative approach of constructing a Reactor
+  // and catching an error
+  if (
+    // Need to do this because typeof null is object for some reason
+    output === null || (
+      typeof output !== 'function' &&
+      typeof output !== 'object'
+    )
+  ) return output
+
+  // Wrap the output in a Reactor if it's an object
+  // No need to wrap it if its already a Reactor or is marked raw
+  if (Reactors.has(output) || rawObjects.has(output)) return output
+  // If not then wrap and store it for future reads
+  return new Reactor(output)
+}
+
+// Array methods which change the array they are called on
+// Changes they make are reported together as a single splice
+const arrayMutators = new Set([
+  'copyWithin', 'fill', 'pop', 'push', 'reverse',
+  'shift', 'sort', 'splice', 'unshift'
+].map(name => Array.prototype[name]))
+
+// Array methods which read through the whole array
+// Calling them depends on the array's keys as well as the values read
+const arrayIterators = new Set([
+  'entries', 'every', 'filter', 'find', 'findIndex', 'findLast',
+  'findLastIndex', 'flat', 'flatMap', 'forEach', 'includes', 'indexOf',
+  'join', 'keys', 'lastIndexOf', 'map', 'reduce', 'reduceRight', 'slice',
+  'some', 'toLocaleString', 'toString', 'values', Symbol.iterator
+].map(name => Array.prototype[name]))
+
+// Whether a property key is an array index
+const isIndex = (property) =>
+  typeof property === 'string' && /^(0|[1-9][0-9]*)$/.test(property)
+
+// Whether a property definition is what a normal assignment does
+// Assigning an existing property only gives the value
+// Assigning a new property gives a plain writable data property
+const isAssignment = (descriptor) => {
+  const keys = Object.keys(descriptor)
+  if (keys.length === 1 && keys[0] === 'value') return true
+  return keys.length === 4 && 'value' in descriptor &&
+    descriptor.writable === true &&
+    descriptor.enumerable === true &&
+    descriptor.configurable === true
+}
+
+// Build the change record of a change to a property
+// Descriptors are undefined if the property didn't or doesn't exist
+const propertyRecord = (type, property, oldDescriptor, newDescriptor) => ({
+  type,
+  property,
+  oldValue: oldDescriptor && oldDescriptor.value,
+  newValue: newDescriptor && newDescriptor.value,
+  oldDescriptor,
+  newDescriptor
+})
+
+// Built in ways of deciding whether a write actually changed a value
+// Writes of equal values don't trigger dependents
+// - is: Object.is, the default. Like === except NaN equals NaN
+// - shallow: Arrays and plain objects with Object.is equal elements
+// - deep: Structurally equal arrays, plain objects, Maps, Sets and Dates
+// Reactors are compared by their underlying objects
+const comparators = {
+  is: Object.is,
+  shallow: (a, b) => {
+    if (Object.is(a, b)) return true
+    a = shuck(a)
+    b = shuck(b)
+    if (!isComparableObject(a, b)) return Object.is(a, b)
+    const aKeys = Object.keys(a)
+    const bKeys = Object.keys(b)
+    return aKeys.length === bKeys.length && aKeys.every(key =>
+      Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
+    )
+  },
+  deep: (a, b) => deepEqual(a, b, new Map())
+}
+
+// Whether two values are both arrays or both plain objects
+// These are the only objects compared by their contents for shallow equality
+const isComparableObject = (a, b) => {
+  if (a === null || b === null) return false
+  if (typeof a !== 'object' || typeof b !== 'object') return false
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b)
+  }
+  const aPrototype = Object.getPrototypeOf(a)
+  return aPrototype === Object.getPrototypeOf(b) &&
+    (aPrototype === Object.prototype || aPrototype === null)
+}
+
+// Recursive structural comparison
+// Tracks pairs already being compared so cyclic structures terminate
+const deepEqual = (a, b, comparing) => {
+  if (Object.is(a, b)) return true
+  a = shuck(a)
+  b = shuck(b)
+  if (Object.is(a, b)) return true
+  if (a === null || b === null) return false
+  if (typeof a !== 'object' || typeof b !== 'object') return false
+  if (comparing.has(a) && comparing.get(a).has(b)) return true
+  if (!comparing.has(a)) comparing.set(a, new Set())
+  comparing.get(a).add(b)
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && Object.is(a.getTime(), b.getTime())
+  }
+  if (a instanceof Map || b instanceof Map) {
+    if (!(a instanceof Map && b instanceof Map) || a.size !== b.size) return false
+    for (const [key, value] of a) {
+      if (!b.has(key) || !deepEqual(value, b.get(key), comparing)) return false
+    }
+    return true
+  }
+  if (a instanceof Set || b instanceof Set) {
+    if (!(a instanceof Set && b instanceof Set) || a.size !== b.size) return false
+    for (const value of a) if (!b.has(value)) return false
+    return true
+  }
+  if (!isComparableObject(a, b)) return false
+  const aKeys = Object.keys(a)
+  const bKeys = Object.keys(b)
+  return aKeys.length === bKeys.length && aKeys.every(key =>
+    Object.prototype.hasOwnProperty.call(b, key) &&
+    deepEqual(a[key], b[key], comparing)
+  )
+}
+
+// Turn an equals option into a comparison function
+// Accepts the name of a built in comparator or a custom function
+const resolveEquals = (equals = 'is') => {
+  if (typeof equals === 'function') return equals
+  if (Object.prototype.hasOwnProperty.call(comparators, equals)) {
+    return comparators[equals]
+  }
+  throw new TypeError('Unknown equality ' + String(equals))
+}
+
 // Signals are observable functions representing values
 // - Read a signal by calling it with no arguments
 // - Write to a signal by calling it with the desired value as an argument
@@ -43,25 +335,50 @@ const reactorCache = new WeakMap()
 // let a = new Signal(1)          Initializes it with value 1
 // a()                            Returns 1
 // a(2)                           Sets the value to 2
+// a.peek()                       Returns 2 without creating a dependency
+// a.update(x => x + 1)           Sets the value to 3
+// let b = new Signal([1], {      Only triggers dependents if the new value
+//   equals: 'shallow'            is not shallowly equal to the old one
+// })
 const Signals = new WeakSet()
 class Signal extends Function {
   // Signals are made up of 2 main parts
   // - The core: The properties & methods which lets signals work
   // - The interface: The function returned to the user to use
-  constructor (initialValue) {
+  constructor (initialValue, options = {}) {
     // The "guts" of a Signal containing properties and methods
     // All actual functionality & state should be built into the core
     // Should be completely agnostic to syntactic sugar
     const signalCore = {
       // Signal state
-      // The set value. Purposely commented out to be undefined as a base
-      // value: undefined,
+      // The set value
+      value: initialValue,
+      // Decides if a write is the same as the current value
+      // Equal writes don't trigger dependents
+      equals: resolveEquals(options.equals),
       // The Observers which rely on this Signal
       dependents: new Set(),
       // callback set by parent Reactor to allow removal
       // Used to delete Signals with no dependents
       // To reduce memory leaks
       removeSelf: () => {},
+      // The collection of Signals the parent Reactor keeps this in
+      // and its key there
+      // Lets debug tools give Signals recreated for the same key the same id
+      debugKey: null,
+      // The Observer or Computed core whose value this Signal holds
+      // Used to order dependents in the dependency graph
+      owner: null,
+      // Human readable description of what the Signal represents
+      // Set by parent Reactors to the property path for error messages
+      // or given directly with the name option
+      label: options.name,
+      // Whether reads give objects as they are instead of as Reactors
+      // Set by shallow Reactors on their property Signals
+      raw: false,
+      // The function handed out for this Signal
+      // Traces of writes to it point back to it
+      signalInterface: null,
       // Life of a read
       // - check to see who is asking
       // - register them as a dependent and register self as their dependency
@@ -76,59 +393,75 @@ class Signal extends Function {
           this.dependents.add(dependent)
           dependent.addDependency(this)
         }
-        const output = this.value
+        return this.peek()
+      },
 
-        // If it's not an object then just return it right away
-        // Cleaner and faster than the alternative approach of constructing a Reactor
-        // and catching an error
-        if (
-          // Need to do this because typeof null is object for some reason
-          output === null || (
-            typeof output !== 'function' &&
-            typeof output !== 'object'
-          )
-        ) return output
+      // Read the value without registering any dependencies
+      peek () {
+        return this.raw ? this.value : wrap(this.value)
+      },
 
-        // Wrap the output in a Reactor if it's an object
-        // No need to wrap it if its already a Reactor
-        if (Reactors.has(output)) return output
-        // If not then wrap and store it for future reads
-        return new Reactor(output)
+      // Read-modify-write the value
+      // The read is not tracked so an Observer can update a Signal
+      // without depending on it
+      update (updater) {
+        if (typeof updater !== 'function') {
+          throw new TypeError('Cannot update signal with a non-function')
+        }
+        return this.write(updater(this.peek()))
       },
 
       // Life of a write
       // - Store the provided value
-      // - Trigger any dependent Observers while collecting errors thrown
+      // - Schedule any dependent Observers while collecting errors thrown
+      // - Flush the schedule unless in a batch or already flushing
       // - Throw a CompoundError if necessary
       write (newValue) {
         // Avoid triggering observers if same value is written
-        if (this.value === newValue) return (this.value = newValue)
+        if (this.equals(this.value, newValue)) return (this.value = newValue)
         // Save the new value/definition
         const output = (this.value = newValue)
-        // Trigger dependents
+        // Schedule dependents
         // Need to do an array copy to avoid an infinite loop
         // Triggering a dependent will remove it from the dependent set
         // Then re-add it when it is execute
         // This will cause the iterator to trigger again
         const errorList = []
+        // While tracing dependents are told what caused them to run
+        const cause = tracing ? this.traceCause() : null
         // If an error occurs, collect it and keep going
         // A conslidated error will be thrown at the end of propagation
         Array.from(this.dependents).forEach(dependent => {
           try {
-            if (batcher) batcher.add(dependent)
-            else dependent.trigger()
+            // A dependent being triggered while it is still executing means
+            // it wrote to something it had already read
+            // Rerunning it would just loop forever so instead flag it
+            // to throw a LoopError once it is done executing
+            if (dependencyStack.includes(dependent)) {
+              dependent.loopCause = this
+              return
+            }
+            dependent.invalidate(cause)
           } catch (error) { errorList.push(error) }
         })
+        errorList.push(...flush())
         // If any errors occured during propagation
         // consolidate and throw them
-        if (errorList.length === 1) {
-          throw errorList[0]
-        } else if (errorList.length > 1) {
-          const errorMessage = 'Multiple errors from signal write'
-          throw new CompoundError(errorMessage, errorList)
-        }
+        throwErrors('Multiple errors from signal write', errorList)
         return output
       },
+      // Describe this write for tracing
+      // Writes to the value of an Observer or Computed continue the trace
+      // of whatever caused it to run
+      traceCause () {
+        if (this.owner) return traceThrough(this.owner.lastTrigger, this.owner)
+        const { source, batched } = tracedWrite || {
+          source: { signal: this.signalInterface, name: this.label },
+          batched: batchDepth > 0
+        }
+        return { source, via: [], batched }
+      },
+
       // Used by observers to remove themselves from this as dependents
       // Also removesSelf from any owners if there are no more dependents
       removeDependent (dependent) {
@@ -153,12 +486,14 @@ class Signal extends Function {
       }
     })
 
+    signalInterface.peek = () => signalCore.peek()
+    signalInterface.update = (updater) => signalCore.update(updater)
+    signalCore.signalInterface = signalInterface
+
     // Register the Signal for debugging/typechecking purposes
     signalCoreExtractor.set(signalInterface, signalCore)
     Signals.add(signalInterface)
 
-    // Initialize with the provided value before returning
-    signalInterface(initialValue)
     return signalInterface
   }
 }
@@ -185,15 +520,26 @@ const Reactors = new WeakSet()
 //   }
 // })
 class Reactor {
-  constructor (initializedSource) {
+  constructor (initializedSource, options) {
     // If the source is already a reactor then do nothing and return it
     // No double wrapping of reactors allowed
-    if (Reactors.has(initializedSource)) return initializedSource
-
     // Check to see if we've wrapped this object before
     // This allows consistency of dependencies with repeated read calls
-    const existingReactor = reactorCache.get(initializedSource)
-    if (existingReactor) return existingReactor
+    const existingReactor = Reactors.has(initializedSource)
+      ? initializedSource
+      : reactorCache.get(initializedSource)
+    if (existingReactor) {
+      // The Reactor is shared with everything else which wrapped the object
+      // so changing its options has to be asked for with configure
+      if (options) {
+        throw new TypeError(
+          'Cannot give options to an object which is already a Reactor, use configure instead'
+        )
+      }
+      return existingReactor
+    }
+    // Objects marked raw are never wrapped
+    if (rawObjects.has(initializedSource)) return initializedSource
 
     // The source is the internal proxied object
     // If no source is provided then provide a new default object
@@ -204,50 +550,111 @@ class Reactor {
     // Should be completely agnostic to syntactic sugar
     const reactorCore = {
       source: initializedSource,
+      // Property path this Reactor was first read from
+      // Only used to describe properties in error messages
+      // Undefined for Reactors created directly
+      path: undefined,
+      // Name given with the name option
+      // Used instead of the path to describe properties
+      name: undefined,
+      // Counts changes made through this Reactor
+      // Lets snapshots tell if they are still up to date
+      version: 0,
+      // Decides if a property write is the same as the current value
+      // Can be configured for the whole Reactor or per property
+      equals: comparators.is,
+      propertyEquals: {},
+      // Shallow Reactors track their own properties
+      // but give out objects in them as they are instead of as Reactors
+      shallow: false,
+      // Checks writes before they are made, set by models
+      // define is given the property and descriptor and returns the
+      // descriptor to use, delete is given the property
+      // Both throw to reject the change
+      validator: null,
       // Dependency tracking not for any particular property
-      // but for the reactor overall
-      selfSignal: new Signal(null),
+      // but for iterating over the reactor
+      // Triggered when keys are added or removed or an array's length changes
+      iterateSignal: new Signal(0),
+      // Tracked replacements for the methods of native Maps and Sets
+      // Set after the interface is created if the source is a collection
+      collectionMethods: null,
+      // Functions told about every change made through this Reactor
+      // Called with a record of each change as it happens
+      // - type: "set", "define" or "delete" for changes to a property
+      //   or "splice" once an array method has finished changing an array
+      // - property, oldValue, newValue: what changed for property changes
+      // - oldDescriptor, newDescriptor: the full property descriptors
+      // - splicing: if the change is part of a coming splice record
+      // - index, removed, added: the replaced range for splices
+      // Unlike Signals these see every individual change
+      changeListeners: new Set(),
+      // How many array methods are currently changing this Reactor
+      splicing: 0,
 
       // Function calls on reactor properties are automatically batched
       // This allows compound function calls like "Array.push"
       // to only trigger one round of observer updates
       apply (thisArg, argumentsList) {
         return batch(() => {
-          // For native object methods which cant use a Proxy as `this`
-          // try again with the underlying object
-          // Some limitations if the failed attempt has side effects prior to throwing an error
-          // this will double them
-          // Generally acceptable because native objects should be expected to not leave a mess
-          // Potentially some issues in user defined objects getting wrapped in Reactor
-          // using private properties and leaving a mess on error
-          // Also this still wont fix being unable to pass the proxy to static methods
-          // `proxiedMap.keys()` will work because keys gets wrapped by this handler
-          // `Map.prototype.keys.call(proxiedMap)` won't work because it doesnt get wrapped
-          try {
-            return Reflect.apply(this.source, thisArg, argumentsList)
-          } catch (error) {
-            if (error.name === 'TypeError') {
-              const core = reactorCoreExtractor.get(thisArg)
-              if (typeof core !== 'undefined') {
-                // Note that this.source and core.source are different
-                // core.source is the underlying object
-                // this.source is the function which is being called with the object as `this`
-                return Reflect.apply(this.source, core.source, argumentsList)
-              }
+          // Array methods changing an array are reported as a single splice
+          const arrayCore = reactorCoreExtractor.get(thisArg)
+          if (arrayCore && Array.isArray(arrayCore.source)) {
+            if (arrayMutators.has(this.source)) {
+              return arrayCore.coalesceSplice(() => this.applySource(thisArg, argumentsList))
             }
-            // If any other type of error, or if there's nothing to unwrap throw error anyway
-            // because then its not a problem with Reactor wrapping
-            throw error
+            // Iterating depends on the keys even along paths
+            // which never read the length or an added index
+            if (arrayIterators.has(this.source)) arrayCore.iterateSignal()
           }
+          return this.applySource(thisArg, argumentsList)
         })
       },
 
+      // Call the underlying function
+      applySource (thisArg, argumentsList) {
+        // For native object methods which cant use a Proxy as `this`
+        // try again with the underlying object
+        // Some limitations if the failed attempt has side effects prior to throwing an error
+        // this will double them
+        // Generally acceptable because native objects should be expected to not leave a mess
+        // Potentially some issues in user defined objects getting wrapped in Reactor
+        // using private properties and leaving a mess on error
+        // Also this still wont fix being unable to pass the proxy to static methods
+        // `proxiedMap.keys()` will work because keys gets wrapped by this handler
+        // `Map.prototype.keys.call(proxiedMap)` won't work because it doesnt get wrapped
+        try {
+          return Reflect.apply(this.source, thisArg, argumentsList)
+        } catch (error) {
+          if (error.name === 'TypeError') {
+            const core = reactorCoreExtractor.get(thisArg)
+            if (typeof core !== 'undefined') {
+              // Note that this.source and core.source are different
+              // core.source is the underlying object
+              // this.source is the function which is being called with the object as `this`
+              return Reflect.apply(this.source, core.source, argumentsList)
+            }
+          }
+          // If any other type of error, or if there's nothing to unwrap throw error anyway
+          // because then its not a problem with Reactor wrapping
+          throw error
+        }
+      },
+
       // Instead of reading a property directly
       // Reactor properties are read through a trivial Signal
       // This handles dependency tracking and sub-object Reactor wrapping
       // Accessor Signals need to be stored to allow persistent dependencies
-      getSignals: {},
+      // No prototype so properties like __proto__ and constructor
+      // don't find Object.prototype's
+      getSignals: Object.create(null),
       get (property, receiver) {
+        // Native collections keep their contents in internal slots
+        // so their methods are swapped for tracked versions
+        if (
+          this.collectionMethods &&
+          Object.prototype.hasOwnProperty.call(this.collectionMethods, property)
+        ) return this.collectionMethods[property]
         // Disable unnecessary wrapping for unmodifiable properties
         // Needed because Array prototype checking fails if wrapped
         // Specificaly [].map()
@@ -257,6 +664,7 @@ class Reactor {
         if (descriptor && !descriptor.writable && !descriptor.configurable) {
           return Reflect.get(this.source, property, receiver)
         }
+        if (profiling) profileAccess(this, property, this.describe(property), 'reads')
         // Lazily instantiate accessor signals
         this.getSignals[property] =
           // Need to use hasOwnProperty instead of a normal get to avoid
@@ -264,11 +672,14 @@ class Reactor {
           // e.g. constructor
           Object.prototype.hasOwnProperty.call(this.getSignals, property)
             ? this.getSignals[property]
-            : new Signal()
+            : new Signal(undefined, { equals: this.equalsFor(property) })
         // User accessor signals to give the actual output
         // This enables automatic dependency tracking
         const signalCore = signalCoreExtractor.get(this.getSignals[property])
         signalCore.removeSelf = () => delete this.getSignals[property]
+        signalCore.debugKey = [this.getSignals, property]
+        signalCore.label = this.describe(property)
+        signalCore.raw = this.shallow
         const currentValue = (() => {
           // Handle getters which require hidden/native properties
           // If putting the proxy as `this` fails then reveal the underlying object
@@ -293,7 +704,14 @@ class Reactor {
           }
         })()
         signalCore.value = currentValue
-        return signalCore.read()
+        const output = signalCore.read()
+        // Remember where nested Reactors were first found
+        // so their properties can be described by their full path
+        const outputCore = reactorCoreExtractor.get(output)
+        if (outputCore && typeof outputCore.path === 'undefined') {
+          outputCore.path = signalCore.label
+        }
+        return output
       },
 
       // Notifies dependents of the defined property
@@ -301,24 +719,141 @@ class Reactor {
       // We trap defineProperty instead of set because it avoids the ambiguity
       // of access through the prototype chain
       defineProperty (property, descriptor) {
+        if (this.validator) descriptor = this.validator.define(property, descriptor)
+        const oldDescriptor = Reflect.getOwnPropertyDescriptor(this.source, property)
+        // Arrays silently change their length when indexes are added
+        // and drop indexes when their length is shortened
+        // These are reported as changes of their own
+        // so that every change can be reverted exactly
+        const isArray = Array.isArray(this.source)
+        const oldLengthDescriptor = isArray
+          ? Reflect.getOwnPropertyDescriptor(this.source, 'length')
+          : undefined
+        const droppedIndexes = isArray && property === 'length'
+          ? this.droppedIndexes(descriptor.value)
+          : []
         const didSucceed = Reflect.defineProperty(
           this.source, property, descriptor
         )
+        // Reads of the length and dropped indexes are triggered too
+        const lengthChanged = isArray && oldLengthDescriptor.value !== this.source.length
+        const changedProperties = [property]
+        if (lengthChanged && property !== 'length') changedProperties.push('length')
+        if (lengthChanged && this.source.length < oldLengthDescriptor.value) {
+          changedProperties.push(...Reflect.ownKeys(this.getSignals).filter(key =>
+            isIndex(key) && Number(key) >= this.source.length
+          ))
+        }
         // Trigger dependents before returning
-        this.trigger(property)
+        // Even if a change listener throws
+        try {
+          if (!didSucceed) return didSucceed
+          droppedIndexes.forEach(([index, indexDescriptor]) => this.notifyChange(
+            propertyRecord('delete', index, indexDescriptor, undefined)
+          ))
+          const newDescriptor = Reflect.getOwnPropertyDescriptor(this.source, property)
+          // Plain assignments are sets and only count if the value changed
+          // Anything else is an explicit define and always counts
+          const type = isAssignment(descriptor) ? 'set' : 'define'
+          const record = propertyRecord(type, property, oldDescriptor, newDescriptor)
+          if (
+            type === 'define' || !oldDescriptor ||
+            !this.equalsFor(property)(oldDescriptor.value, newDescriptor.value)
+          ) {
+            this.notifyChange(record)
+          } else if (!Object.is(oldDescriptor.value, newDescriptor.value)) {
+            // Values only equal by a custom comparison still need reverting
+            journalChange(this, record)
+          }
+          const newLengthDescriptor = isArray
+            ? Reflect.getOwnPropertyDescriptor(this.source, 'length')
+            : undefined
+          if (
+            property !== 'length' && isArray &&
+            oldLengthDescriptor.value !== newLengthDescriptor.value
+          ) {
+            this.notifyChange(propertyRecord(
+              'set', 'length', oldLengthDescriptor, newLengthDescriptor
+            ))
+          }
+        } finally {
+          this.trigger(changedProperties, (didSucceed && !oldDescriptor) || lengthChanged)
+        }
         return didSucceed
       },
 
+      // The indexes and descriptors an array would lose
+      // if its length was shortened to the given length
+      // Only looked up if anything is listening to changes
+      droppedIndexes (length) {
+        const dropped = []
+        if (this.changeListeners.size === 0 && journals.length === 0) return dropped
+        for (let index = this.source.length - 1; index >= length; index--) {
+          const indexDescriptor = Reflect.getOwnPropertyDescriptor(this.source, String(index))
+          if (indexDescriptor) dropped.push([String(index), indexDescriptor])
+        }
+        return dropped
+      },
+
       // Transparently delete the property but also trigger dependents
       deleteProperty (property) {
+        if (this.validator) this.validator.delete(property)
+        const oldDescriptor = Reflect.getOwnPropertyDescriptor(this.source, property)
         const didSucceed = Reflect.deleteProperty(this.source, property)
-        this.trigger(property)
+        try {
+          if (didSucceed && oldDescriptor) {
+            this.notifyChange(propertyRecord('delete', property, oldDescriptor, undefined))
+          }
+        } finally {
+          this.trigger([property], didSucceed && Boolean(oldDescriptor))
+        }
         return didSucceed
       },
 
+      // Tell change listeners about a change
+      // Hidden so listeners reading the Reactor don't create dependencies
+      notifyChange (record) {
+        journalChange(this, record)
+        if (this.changeListeners.size === 0) return
+        record.splicing = this.splicing > 0
+        hide(() => Array.from(this.changeListeners).forEach(
+          listener => listener(record)
+        ))
+      },
+
+      // Run an array method and report what it did as one splice record
+      // The range that changed is found by comparing the array before and after
+      // Only done if anything is listening since it copies the array
+      coalesceSplice (execute) {
+        if (this.changeListeners.size === 0) return execute()
+        const before = this.source.slice()
+        this.splicing += 1
+        try {
+          return execute()
+        } finally {
+          this.splicing -= 1
+          const after = this.source
+          let start = 0
+          while (
+            start < before.length && start < after.length &&
+            Object.is(before[start], after[start])
+          ) start += 1
+          let end = 0
+          while (
+            end < before.length - start && end < after.length - start &&
+            Object.is(before[before.length - 1 - end], after[after.length - 1 - end])
+          ) end += 1
+          const removed = before.slice(start, before.length - end)
+          const added = after.slice(start, after.length - end)
+          if (this.splicing === 0 && (removed.length > 0 || added.length > 0)) {
+            this.notifyChange({ type: 'splice', index: start, removed, added })
+          }
+        }
+      },
+
       // Have a map of dummy Signals to keep track of dependents on has
       // We don't resuse the get Signals to avoid triggering getters
-      hasSignals: {},
+      hasSignals: Object.create(null),
       has (property) {
         // Lazily instantiate has signals
         this.hasSignals[property] =
@@ -332,46 +867,116 @@ class Reactor {
         // This enables automatic dependency tracking
         const signalCore = signalCoreExtractor.get(this.hasSignals[property])
         signalCore.removeSelf = () => delete this.hasSignals[property]
+        signalCore.debugKey = [this.hasSignals, property]
+        signalCore.label = this.describe(property)
         const currentValue = Reflect.has(this.source, property)
         signalCore.value = currentValue
         return signalCore.read()
       },
 
-      // Subscribe to the overall reactor by reading the dummy signal
+      // Subscribe to the keys of the reactor by reading the iteration signal
+      // Values read while iterating are tracked by their own properties
       ownKeys () {
-        const currentKeys = Reflect.ownKeys(this.source)
-        const signalCore = signalCoreExtractor.get(this.selfSignal)
-        signalCore.value = currentKeys
-        return signalCore.read()
+        this.iterateSignal()
+        return Reflect.ownKeys(this.source)
+      },
+
+      // Apply options given to the constructor
+      // - equals: how every property decides if a write changed it
+      // - propertyEquals: object of property names to how that property
+      //   decides if a write changed it, overriding equals
+      // - shallow: give out objects in properties without wrapping them
+      // - name: name to describe properties by instead of the path
+      configure (options) {
+        const { equals, propertyEquals = {}, shallow, name } = options
+        if (typeof equals !== 'undefined') this.equals = resolveEquals(equals)
+        if (typeof shallow !== 'undefined') this.shallow = Boolean(shallow)
+        if (typeof name !== 'undefined') this.name = String(name)
+        for (const property of Reflect.ownKeys(propertyEquals)) {
+          this.propertyEquals[property] = resolveEquals(propertyEquals[property])
+        }
+        // Existing Signals pick up the new configuration
+        for (const property of Reflect.ownKeys(this.getSignals)) {
+          const signalCore = signalCoreExtractor.get(this.getSignals[property])
+          signalCore.equals = this.equalsFor(property)
+          signalCore.raw = this.shallow
+        }
+      },
+
+      // How a particular property decides if a write changed it
+      equalsFor (property) {
+        return Object.prototype.hasOwnProperty.call(this.propertyEquals, property)
+          ? this.propertyEquals[property]
+          : this.equals
+      },
+
+      // Describe a property by its path for error messages
+      // e.g. "todos.length" for the length of a nested "todos" array
+      // A name given to the Reactor takes the place of the path
+      describe (property) {
+        const name = String(property)
+        const prefix = typeof this.name === 'undefined' ? this.path : this.name
+        return typeof prefix === 'undefined' ? name : prefix + '.' + name
+      },
+
+      // The Signals tracking reads of a property
+      // or every Signal of the Reactor if no property is given
+      // Only Signals something has read exist so this can be empty
+      signals (...property) {
+        const own = (signals) => property.length === 0
+          ? Reflect.ownKeys(signals).map(key => signals[key])
+          : Object.prototype.hasOwnProperty.call(signals, property[0])
+            ? [signals[property[0]]]
+            : []
+        return [
+          ...(property.length === 0 ? [this.iterateSignal] : []),
+          ...own(this.getSignals),
+          ...own(this.hasSignals),
+          ...(this.collectionMethods ? this.collectionSignals(...property) : [])
+        ]
       },
 
-      // Force dependencies to trigger
-      // Hack to do this by trivially "redefining" the signal
-      // The proper accessor will be materialized "just in time" on the getter
-      // so it doesn't matter that we're swapping it with a filler Symbol
-      trigger (property) {
+      // Force dependencies of the changed properties to trigger
+      // The first property is the one written, the rest changed along with it
+      // Iteration dependents are triggered too if iterate is set
+      // i.e. keys were added or removed or an array's length changed
+      trigger (properties, iterate) {
+        this.version += 1
+        if (profiling) {
+          properties.forEach(property =>
+            profileAccess(this, property, this.describe(property), 'writes')
+          )
+        }
         // Calculate the actual new values observers will receive
         // This avoids redundant triggering if they were the same
-        const getValue = Reflect.get(this.source, property)
-        const hasValue = Reflect.has(this.source, property)
-        // For ownKeys you need to manually calculate the set comparison
-        const currentOwnKeysValue = Reflect.ownKeys(this.source)
-        const oldOwnKeysValue = signalCoreExtractor.get(this.selfSignal).value
-        const ownKeysChanged = (() => {
-          const currentSet = new Set(currentOwnKeysValue)
-          const oldSet = new Set(oldOwnKeysValue)
-          if (currentSet.size !== oldSet.size) return true
-          for (const key of currentSet) {
-            if (!oldSet.has(key)) return true
-          }
-          return false
-        })()
+        const values = properties.map(property => [
+          property,
+          Reflect.get(this.source, property),
+          Reflect.has(this.source, property)
+        ])
+        const write = tracing ? this.traceWrite(properties[0]) : null
         // Batch together to avoid redundant triggering for shared observers
         batch(() => {
-          if (this.getSignals[property]) this.getSignals[property](getValue)
-          if (this.hasSignals[property]) this.hasSignals[property](hasValue)
-          if (ownKeysChanged) this.selfSignal(currentOwnKeysValue)
+          tracedWrite = write
+          try {
+            values.forEach(([property, getValue, hasValue]) => {
+              if (this.getSignals[property]) this.getSignals[property](getValue)
+              if (this.hasSignals[property]) this.hasSignals[property](hasValue)
+            })
+            if (iterate) this.iterateSignal(this.iterateSignal.peek() + 1)
+          } finally {
+            tracedWrite = null
+          }
         })
+      },
+
+      // Describe a write to a property for tracing
+      // Writes made while already batching only trigger once the batch is done
+      traceWrite (property, name = this.describe(property)) {
+        return {
+          source: { reactor: reactorCache.get(this.source), property, name },
+          batched: batchDepth > 0
+        }
       }
     }
 
@@ -416,6 +1021,11 @@ class Reactor {
         throw new Error('Proxy target does not match initialized object')
       }
     })
+    signalCoreExtractor.get(reactorCore.iterateSignal).label = 'keys'
+    if (options) reactorCore.configure(options)
+    reactorCore.collectionMethods = instrumentCollection(
+      reactorCore, reactorInterface
+    )
     // Register the reactor for debugging/typechecking purposes
     Reactors.add(reactorInterface)
     reactorCoreExtractor.set(reactorInterface, reactorCore)
@@ -424,6 +1034,472 @@ class Reactor {
   }
 }
 
+// Change the options of an existing Reactor
+// Takes the same options as the constructor
+// Only the options given are changed
+// Properties already being tracked pick up the new options
+// Returns the Reactor
+// -----------------------------------------------------------------------------
+// Examples
+// const store = new Reactor({ point: { x: 1 } })
+// configure(store, { equals: 'deep' })
+// store.point = { x: 1 }           Does not trigger anything
+const configure = (reactor, options) => {
+  const reactorCore = reactorCoreExtractor.get(reactor)
+  if (!reactorCore) throw new TypeError('Cannot configure a non-Reactor')
+  reactorCore.configure(options)
+  return reactor
+}
+
+// Iterate over an iterator giving each item through transform
+// Lazy so collections handing out wrapped values still iterate one by one
+function * mapIterator (iterator, transform) {
+  for (const item of iterator) yield transform(item)
+}
+
+// Native collections to be instrumented and the methods they support
+// Weak collections can't be iterated so they only support key based methods
+const collectionTypes = [
+  [Map, ['get', 'has', 'set', 'delete', 'clear', 'size', 'keys', 'values', 'entries', 'forEach', Symbol.iterator]],
+  [Set, ['has', 'add', 'delete', 'clear', 'size', 'keys', 'values', 'entries', 'forEach', Symbol.iterator]],
+  [WeakMap, ['get', 'has', 'set', 'delete']],
+  [WeakSet, ['has', 'add', 'delete']]
+]
+
+// Build tracked versions of a native Map/Set/WeakMap/WeakSet's methods
+// Returns null if the source isn't a native collection
+// Works like the property tracking of normal Reactors
+// - Reading a key creates a Signal for that key
+// - Reading the size or iterating creates a dependency on the whole collection
+// - Mutations only trigger the Signals of the affected keys
+//   plus size and iteration dependents if the contents changed
+// Keys are never wrapped in Reactors so lookups keep working
+// Map values are wrapped the same way as Reactor properties
+// -----------------------------------------------------------------------------
+// Examples
+// const map = new Reactor(new Map())
+// new Observer(() => map.get('a'))()     Depends only on the key 'a'
+// map.set('b', 1)                        Does not trigger the Observer
+// map.set('a', 1)                        Triggers the Observer
+const instrumentCollection = (reactorCore, reactorInterface) => {
+  const source = reactorCore.source
+  const type = collectionTypes.find(([constructor]) => source instanceof constructor)
+  if (!type) return null
+  const [, supportedMethods] = type
+  const isMap = source instanceof Map || source instanceof WeakMap
+  const isWeak = source instanceof WeakMap || source instanceof WeakSet
+
+  // Signals for each key read through get and has
+  // Lazily created and removed once nothing depends on them
+  // Weak collections hold them weakly too so keys can still be collected
+  const getSignals = isWeak ? new WeakMap() : new Map()
+  const hasSignals = isWeak ? new WeakMap() : new Map()
+  // Signals for reads which depend on the collection as a whole
+  // size only changes when keys are added or removed
+  // iterate changes whenever anything in the collection changes
+  const sizeSignal = new Signal()
+  const iterateSignal = new Signal(0)
+  signalCoreExtractor.get(sizeSignal).label = reactorCore.describe('size')
+  signalCoreExtractor.get(iterateSignal).label = reactorCore.describe('entries')
+
+  // The Signals tracking reads of a key
+  // or every Signal of the collection if no key is given
+  // The keys of weak collections can't be listed so only given keys are found
+  reactorCore.collectionSignals = (...key) => key.length === 0
+    ? [
+        sizeSignal,
+        iterateSignal,
+        ...(isWeak ? [] : [...getSignals.values(), ...hasSignals.values()])
+      ]
+    : [getSignals.get(key[0]), hasSignals.get(key[0])].filter(Boolean)
+
+  // Whether a key is an object and not a primitive
+  const isObjectKey = (key) =>
+    (key !== null && typeof key === 'object') || typeof key === 'function'
+
+  // Describe a key for labels and traces
+  const keyName = (key) => isObjectKey(key)
+    ? Object.prototype.toString.call(key)
+    : String(key)
+
+  // Read a key through its Signal to register the dependency
+  // Weak collections can never hold primitive keys
+  // so reading one just gives the native result without tracking anything
+  const readKey = (signals, key, currentValue, name) => {
+    if (isWeak && !isObjectKey(key)) return currentValue
+    if (profiling) profileAccess(reactorCore, key, reactorCore.describe(keyName(key)), 'reads')
+    if (!signals.has(key)) {
+      // Compares through the core so later configuration still applies
+      const signal = new Signal(undefined, {
+        equals: (a, b) => reactorCore.equals(a, b)
+      })
+      const signalCore = signalCoreExtractor.get(signal)
+      // Signals of weak collections only point back to their key weakly
+      // The Signal can outlive the key in the dependency graph
+      // and must not keep it from being collected
+      if (isWeak) {
+        const keyRef = new WeakRef(key)
+        signalCore.removeSelf = () => {
+          const key = keyRef.deref()
+          if (typeof key !== 'undefined') signals.delete(key)
+        }
+        signalCore.debugKey = [signals, keyRef]
+      } else {
+        signalCore.removeSelf = () => signals.delete(key)
+        signalCore.debugKey = [signals, key]
+      }
+      signalCore.label = reactorCore.describe(name + '(' + keyName(key) + ')')
+      signals.set(key, signal)
+    }
+    const signalCore = signalCoreExtractor.get(signals.get(key))
+    signalCore.raw = reactorCore.shallow
+    signalCore.value = currentValue
+    return signalCore.read()
+  }
+
+  // Iterating depends on the whole collection
+  // Any change to the contents also changes what iterating gives
+  const readAll = () => iterateSignal()
+  const wrapValue = (value) => isMap && !reactorCore.shallow ? wrap(value) : value
+  const wrapEntry = ([key, value]) => [key, wrapValue(value)]
+
+  // Notify dependents of the given keys and the collection as a whole
+  // Batched so observers depending on several of these only trigger once
+  // Writes to several keys at once are traced as writes to the entries
+  const trigger = (keys, contentsChanged) => {
+    if (profiling) {
+      keys.forEach(key =>
+        profileAccess(reactorCore, key, reactorCore.describe(keyName(key)), 'writes')
+      )
+    }
+    const write = !tracing
+      ? null
+      : keys.length === 1
+        ? reactorCore.traceWrite(keys[0], reactorCore.describe(keyName(keys[0])))
+        : reactorCore.traceWrite(undefined, reactorCore.describe('entries'))
+    batch(() => {
+      reactorCore.version += 1
+      tracedWrite = write
+      try {
+        for (const key of keys) {
+          if (getSignals.has(key)) getSignals.get(key)(source.get(key))
+          if (hasSignals.has(key)) hasSignals.get(key)(source.has(key))
+        }
+        if (typeof source.size !== 'undefined') sizeSignal(source.size)
+        if (contentsChanged) iterateSignal(iterateSignal.peek() + 1)
+      } finally {
+        tracedWrite = null
+      }
+    })
+  }
+
+  const methods = {
+    get (key) {
+      return readKey(getSignals, key, source.get(key), 'get')
+    },
+    has (key) {
+      return readKey(hasSignals, key, source.has(key), 'has')
+    },
+    set (key, value) {
+      const hadKey = source.has(key)
+      const oldValue = source.get(key)
+      source.set(key, value)
+      const changed = !hadKey || !reactorCore.equals(oldValue, value)
+      try {
+        if (changed) {
+          reactorCore.notifyChange({
+            type: 'set', property: key, oldValue, newValue: value, hadKey
+          })
+        }
+      } finally {
+        trigger([key], changed)
+      }
+      return reactorInterface
+    },
+    add (value) {
+      const hadValue = source.has(value)
+      source.add(value)
+      try {
+        if (!hadValue) {
+          reactorCore.notifyChange({
+            type: 'set', property: value, oldValue: undefined, newValue: value, hadKey: false
+          })
+        }
+      } finally {
+        trigger([value], !hadValue)
+      }
+      return reactorInterface
+    },
+    delete (key) {
+      const oldValue = isMap ? source.get(key) : key
+      const didDelete = source.delete(key)
+      try {
+        if (didDelete) {
+          reactorCore.notifyChange({
+            type: 'delete', property: key, oldValue, newValue: undefined, hadKey: true
+          })
+        }
+      } finally {
+        trigger([key], didDelete)
+      }
+      return didDelete
+    },
+    clear () {
+      const entries = Array.from(source.entries())
+      source.clear()
+      try {
+        entries.forEach(([key, value]) => reactorCore.notifyChange({
+          type: 'delete', property: key, oldValue: value, newValue: undefined, hadKey: true
+        }))
+      } finally {
+        trigger(entries.map(([key]) => key), entries.length > 0)
+      }
+    },
+    get size () {
+      signalCoreExtractor.get(sizeSignal).value = source.size
+      return sizeSignal()
+    },
+    keys () {
+      readAll()
+      return source.keys()
+    },
+    values () {
+      readAll()
+      return mapIterator(source.values(), wrapValue)
+    },
+    entries () {
+      readAll()
+      return mapIterator(source.entries(), wrapEntry)
+    },
+    forEach (callback, thisArg) {
+      readAll()
+      source.forEach((value, key) => {
+        callback.call(thisArg, wrapValue(value), key, reactorInterface)
+      })
+    },
+    [Symbol.iterator] () {
+      return isMap ? methods.entries() : methods.values()
+    }
+  }
+
+  // Only expose the methods this type of collection actually has
+  return Object.defineProperties({}, Object.fromEntries(
+    supportedMethods.map(name => [name, Object.getOwnPropertyDescriptor(methods, name)])
+  ))
+}
+
+// Readonly views of Reactors and the Reactors they were made from
+// Cached so each Reactor always gets the same view
+const readonlyCache = new WeakMap()
+const readonlyCoreExtractor = new WeakMap()
+
+// Methods which change native collections and Dates
+// Readonly views replace them with ones which throw
+const collectionMutators = new Set(['set', 'add', 'delete', 'clear'])
+const isDateMutator = (property) =>
+  typeof property === 'string' && property.startsWith('set')
+
+// Make a readonly view of a Reactor
+// - Reads are tracked exactly like reads of the Reactor itself
+//   so Observers still depend on them
+// - Defining, deleting and methods which change things throw a TypeError
+// - Objects read from it are readonly views too
+// The Reactor itself can still be changed by anything holding it
+// -----------------------------------------------------------------------------
+// Examples
+// const state = new Reactor({ user: { name: 'Ann' }, tags: [] })
+// const view = readonly(state)
+// new Observer(() => console.log(view.user.name))()
+// state.user.name = 'Bob'          Prints "Bob" through the view
+// view.user.name = 'Cat'           Throws a TypeError
+// view.tags.push('a')              Throws a TypeError
+const readonly = (reactor) => {
+  if (readonlyCoreExtractor.has(reactor)) return reactor
+  const core = reactorCoreExtractor.get(wrap(reactor))
+  if (!core) throw new TypeError('Cannot make a readonly view of a non-object')
+  if (readonlyCache.has(core)) return readonlyCache.get(core)
+
+  const refuse = (action) => {
+    throw new TypeError('Cannot ' + action + ' of a readonly Reactor')
+  }
+  // Objects handed out get readonly views of their own
+  const toReadonly = (value) => reactorCoreExtractor.has(value) ? readonly(value) : value
+  // Collection methods which hand out values have them made readonly
+  // Ones which change the collection throw
+  const readonlyCollectionMethod = (property) => {
+    const method = core.collectionMethods[property]
+    if (collectionMutators.has(property)) {
+      return () => refuse('call ' + core.describe(property))
+    }
+    const isMap = core.source instanceof Map || core.source instanceof WeakMap
+    const readonlyEntry = ([key, value]) => [key, toReadonly(value)]
+    switch (property) {
+      case 'get':
+        return (key) => toReadonly(method(key))
+      case 'values':
+        return () => mapIterator(method(), toReadonly)
+      case 'entries':
+        return () => mapIterator(method(), readonlyEntry)
+      case Symbol.iterator:
+        return () => mapIterator(method(), isMap ? readonlyEntry : toReadonly)
+      case 'forEach':
+        return (callback, thisArg) => method((value, key) => {
+          callback.call(thisArg, toReadonly(value), key, readonlyInterface)
+        })
+      default:
+        return method
+    }
+  }
+
+  const readonlyInterface = new Proxy(core.source, {
+    apply (target, thisArg, argumentsList) {
+      return core.apply(thisArg, argumentsList)
+    },
+    get (target, property, receiver) {
+      if (
+        core.collectionMethods &&
+        Object.prototype.hasOwnProperty.call(core.collectionMethods, property)
+      ) {
+        // size is a getter so it is read rather than returned
+        if (property === 'size') return core.collectionMethods.size
+        return readonlyCollectionMethod(property)
+      }
+      // Dates keep their value in an internal slot
+      // so their methods have to be called on the Date itself
+      if (core.source instanceof Date && typeof core.source[property] === 'function') {
+        if (isDateMutator(property)) {
+          return () => refuse('call ' + core.describe(property))
+        }
+        return core.source[property].bind(core.source)
+      }
+      return toReadonly(core.get(property, receiver))
+    },
+    defineProperty (target, property) {
+      refuse('define ' + core.describe(property))
+    },
+    deleteProperty (target, property) {
+      refuse('delete ' + core.describe(property))
+    },
+    setPrototypeOf () {
+      refuse('set the prototype')
+    },
+    preventExtensions () {
+      refuse('prevent extensions')
+    },
+    // Descriptors hand out values too so they get readonly views
+    // Proxies have to describe non-configurable properties exactly
+    // so those are left as they are
+    getOwnPropertyDescriptor (target, property) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(target, property)
+      if (!descriptor || !descriptor.configurable || !('value' in descriptor)) {
+        return descriptor
+      }
+      return { ...descriptor, value: toReadonly(core.get(property, readonlyInterface)) }
+    },
+    has (target, property) {
+      return core.has(property)
+    },
+    ownKeys (target) {
+      return core.ownKeys()
+    }
+  })
+  readonlyCache.set(core, readonlyInterface)
+  readonlyCoreExtractor.set(readonlyInterface, core)
+  return readonlyInterface
+}
+
+// Check if something is a readonly view made by readonly
+const isReadonly = (value) => readonlyCoreExtractor.has(value)
+
+// Continue a trace through an Observer or Computed value
+// Anything it triggers was caused by whatever caused it to run
+const traceThrough = (trace, dependent) => ({
+  source: trace ? trace.source : null,
+  via: [...(trace ? trace.via : []), dependent.describe()],
+  batched: trace ? trace.batched : false
+})
+
+// Bookkeeping shared by everything which depends on Signals
+// i.e. the cores of Observers and Computed values
+// Spread into their cores so Signals can treat them all the same way
+const dependentMethods = {
+  // Symmetrically removes dependencies
+  clearDependencies () {
+    // Go upstream to break the connection
+    this.dependencies.forEach(dependency => {
+      dependency.removeDependent(this)
+    })
+    // Drop own references
+    this.dependencies = new WeakRefSet()
+    // Height is rebuilt from the new dependencies as they are read
+    this.height = 0
+    if (scheduled.has(this)) enqueue(this)
+  },
+
+  // External call to add a dependency
+  // Wrapped to to encapsulate implementation
+  addDependency (dependency) {
+    this.dependencies.add(dependency)
+    // Stay above the Observer or Computed value that owns the dependency
+    if (dependency.owner) this.raiseHeight(dependency.owner.height + 1)
+  },
+
+  // Record what caused the run that is starting while tracing
+  // Runs nothing wrote to were started directly and have no source
+  traceTrigger () {
+    const cause = this.pendingTrigger || { source: null, via: [], batched: false }
+    this.pendingTrigger = null
+    this.lastTrigger = { observer: this.describe(), ...cause }
+    return this.lastTrigger
+  },
+
+  // Throw a LoopError if this was triggered by its own writes
+  // while it was executing
+  throwIfLooped () {
+    const cause = this.loopCause
+    if (!cause) return
+    this.loopCause = null
+    throw new LoopError(
+      this.describe() + ' triggered itself by writing to ' +
+      (cause.label || 'a value it depends on')
+    )
+  },
+
+  // Raise the height of this and everything downstream of it
+  // so dependents always stay higher than their dependencies
+  // Tracks visited dependents to avoid looping around cycles
+  raiseHeight (height, visited = new Set()) {
+    if (this.height >= height || visited.has(this)) return
+    visited.add(this)
+    this.height = height
+    if (scheduled.has(this)) enqueue(this)
+    signalCoreExtractor.get(this.value).dependents.forEach(dependent => {
+      dependent.raiseHeight(height + 1, visited)
+    })
+  }
+}
+
+// Bookkeeping shared by everything which owns Observers
+// i.e. the cores of Observers and scopes from createRoot
+const ownerMethods = {
+  // Take ownership of a newly created Observer
+  adopt (child) {
+    this.children.add(child)
+  },
+
+  // Stop all the owned Observers and forget about them
+  // Returns the errors thrown so every child gets a chance to stop
+  disposeChildren () {
+    const children = this.children
+    this.children = new Set()
+    const errorList = []
+    children.forEach(child => {
+      try { child.stop() } catch (error) { errorList.push(error) }
+    })
+    return errorList
+  }
+}
+
 // Observers are functions which automatically track their dependencies
 // Once triggered they automatically retrigger whenever a dependency is updated
 // A dependency is any read of Signal or property of a Reactor
@@ -450,12 +1526,39 @@ class Reactor {
 //                                            and allow updates again
 //
 // observer.start()                          Does nothing since already started
+//
+// Observers can also be triggered asynchronously with a scheduler
+// let lazy = new Observer(() => {           Automatic triggers are run together
+//   console.log(a())                        in a microtask after the writes
+// }, { scheduler: 'microtask' })
+//
+// Errors can be handled instead of being thrown at the write
+// let safe = new Observer(() => {           Errors from running are passed to
+//   JSON.parse(b.foo)                       onError and the value of the last
+// }, { onError: console.error })           successful run is kept
 class Observer extends Function {
-  constructor (execute) {
+  constructor (execute, options = {}) {
     // Parameter validation
     if (typeof execute !== 'function') {
       throw new TypeError('Cannot create observer with a non-function')
     }
+    const {
+      scheduler = 'sync',
+      returnsCleanup = false,
+      equals,
+      name,
+      onError = null,
+      keepValue = true
+    } = options
+    if (
+      typeof scheduler !== 'function' &&
+      !Object.prototype.hasOwnProperty.call(schedulers, scheduler)
+    ) {
+      throw new TypeError('Unknown scheduler ' + String(scheduler))
+    }
+    if (onError !== null && typeof onError !== 'function') {
+      throw new TypeError('Cannot create observer with a non-function onError')
+    }
 
     // Internal engine of an Observer for how it works
     // All actual functionality & state should be built into the core
@@ -463,8 +1566,16 @@ class Observer extends Function {
     const observerCore = {
       // Core function the observer is wrapping
       execute,
+      // Name given with the name option
+      // Used instead of the name of execute to describe the observer
+      name,
       // Whether automatic triggers will be accepted
       awake: false,
+      // When automatic triggers are run
+      // null runs them synchronously as part of the write
+      scheduler: typeof scheduler === 'function'
+        ? scheduler
+        : schedulers[scheduler],
       // The Signals the execution block reads from
       // Cleared and rebuilt at every trigger
       // Store dependencies weakly to avoid memory loops
@@ -472,25 +1583,64 @@ class Observer extends Function {
       dependencies: new WeakRefSet(),
       // Stored return value of the last successful execute
       // Stored in a Signal which makes it observable itself
-      value: new Signal(),
-      // Flag on whether this is a unobserve block
-      // Avoids creating dependencies in that case
-
-      // Symmetrically removes dependencies
-      clearDependencies () {
-        // Go upstream to break the connection
-        if (this.dependencies === null) return
-        this.dependencies.forEach(dependency => {
-          dependency.removeDependent(this)
-        })
-        // Drop own references
-        this.dependencies = new WeakRefSet()
-      },
+      // For async execute functions this is the resolved value
+      value: new Signal(undefined, { equals }),
+      // Outcome of the last execute
+      // "idle" before the first run, then "pending" while an async run is
+      // in progress, and "resolved" or "rejected" once it is done
+      status: new Signal('idle'),
+      // The error thrown or rejected by the last execute if it failed
+      error: new Signal(),
+      // Observers created during the latest run
+      // Stopped before the next run and when this observer is stopped
+      children: new Set(),
+      // Functions registered with onCleanup during the latest run
+      // Called before the next run and when the observer is stopped
+      cleanups: [],
+      // Whether a function returned by execute is registered as a cleanup
+      returnsCleanup,
+      // Function given errors from running instead of them being thrown
+      // Takes priority over the global error handler
+      onError,
+      // Whether a failed run leaves the value of the last successful one
+      // Otherwise the value is cleared to undefined
+      keepValue,
+      // The function handed out for this observer
+      // Passed to error handlers so they know which observer failed
+      observerInterface: null,
+      // Token for the latest run
+      // Async runs check it when they settle so stale runs are ignored
+      run: null,
+      // Promise returned by the latest run if execute is async
+      promise: null,
+      // Set to the Signal which triggered this observer while it was
+      // still executing so a LoopError can be thrown once it is done
+      loopCause: null,
+      // Position in the dependency graph
+      // Always higher than the Observers and Computed values it depends on
+      // so flushing lowest height first runs upstream dependents first
+      height: 0,
+      // While tracing, what caused the next run and what caused the last one
+      // - observer: the description of this observer
+      // - source: the Reactor property or Signal written to start it all
+      //   or null if the observer was run directly
+      // - via: the Observers and Computed values in between, upstream first
+      // - batched: if the write was held back until a batch finished
+      pendingTrigger: null,
+      lastTrigger: null,
+
+      ...dependentMethods,
+      ...ownerMethods,
 
-      // External call to add a dependency
-      // Wrapped to to encapsulate implementation
-      addDependency (dependency) {
-        this.dependencies.add(dependency)
+      // Called when a dependency is written to
+      // Schedules the observer to be triggered in the next flush
+      // or defers it until its scheduler calls back
+      invalidate (cause) {
+        if (!this.awake) return
+        // Several writes can trigger the same run so keep the first
+        if (cause && !this.pendingTrigger) this.pendingTrigger = cause
+        if (this.scheduler) defer(this)
+        else schedule(this)
       },
 
       // Trigger the execute block and build dependencies
@@ -499,28 +1649,153 @@ class Observer extends Function {
       // If it was asleep return false
       trigger () {
         if (this.awake) {
+          // Running now so it no longer needs to wait in the schedule
+          scheduled.delete(this)
+          // Calling an observer from inside itself would recurse forever
+          if (dependencyStack.includes(this)) {
+            throw new LoopError(
+              this.describe() + ' triggered itself while it was executing'
+            )
+          }
+          if (tracing) {
+            const trace = this.traceTrigger()
+            if (traceListener) hide(() => traceListener(trace))
+          }
+          // Tear down whatever the previous run set up
+          // Errors are thrown once this run is done so it still happens
+          const cleanupErrors = this.disposeChildren()
+            .concat(this.runCleanups())
           this.clearDependencies()
+          this.loopCause = null
+          // Start a new run which makes any async run in progress stale
+          this.cancelRun()
+          const run = (this.run = {})
           // Put self on the dependency stack
           // So any signals read by execute know who is calling
           dependencyStack.push(this)
+          // Also take ownership of any observers created while executing
+          ownerStack.push(this)
           let result
+          // Only the synchronous part of async runs is timed
+          const start = profiling ? performance.now() : null
           // Wrap execute in a try block so that
           // dependency stack is popped even if an error is occured
           // Allows users to catch errors themselves and handle them
           try {
-            result = this.execute.apply(this.thisContext, this.argsContext)
-          } finally {
-            dependencyStack.pop()
+            try {
+              result = this.execute.apply(this.thisContext, this.argsContext)
+            } finally {
+              dependencyStack.pop()
+              ownerStack.pop()
+              if (start !== null) profileRun(this, performance.now() - start)
+            }
+            this.throwIfLooped()
+          } catch (error) {
+            this.reject(error)
+            this.promise = null
+            this.reportErrors(
+              'Multiple errors from observer cleanup',
+              cleanupErrors.concat([error])
+            )
+            return true
           }
-          // Store the result as a subscribable signal
-          // This will trigger any downstream observers
-          // which depend on this observers value
-          this.value(result)
+          // Async execute functions only settle later
+          // Their value is stored once they resolve if no newer run started
+          // Downstream Observers run as it settles with nothing to catch
+          // their errors, so any they don't handle go to this Observer's
+          // error reporting and failing that are thrown outside the promise
+          if (isThenable(result)) {
+            this.promise = result
+            this.status('pending')
+            const settle = (update) => {
+              const unhandled = propagateDetached(update)
+              if (unhandled.length === 0) return
+              try {
+                this.reportErrors('Multiple errors from observers downstream', unhandled)
+              } catch (error) {
+                queueMicrotask(() => { throw error })
+              }
+            }
+            result.then(
+              value => { if (this.run === run) settle(() => this.resolve(value)) },
+              error => {
+                if (this.run !== run) return
+                settle(() => this.reject(error))
+                // Without a handler the rejection is left to the promise
+                if (this.onError || errorHandler) settle(() => this.reportErrors('', [error]))
+              }
+            )
+          } else {
+            this.promise = null
+            // Store the result as a subscribable signal
+            // This will trigger any downstream observers
+            // which depend on this observers value
+            this.resolve(result)
+          }
+          this.reportErrors('Multiple errors from observer cleanup', cleanupErrors)
           return true
         }
         return false
       },
 
+      // Pass errors from running to the onError option
+      // or the global error handler if there is one
+      // Otherwise throw them at whatever triggered the run
+      // Handlers are called with each error and this observer
+      reportErrors (message, errorList) {
+        const handler = this.onError || errorHandler
+        if (!handler) return throwErrors(message, errorList)
+        errorList.forEach(error => hide(() => handler(error, this.observerInterface)))
+      },
+
+      // Record a successful run
+      // Batched so observers of several of these only trigger once
+      resolve (result) {
+        if (this.returnsCleanup && typeof result === 'function') {
+          this.cleanups.push(result)
+        }
+        batch(() => {
+          this.value(result)
+          this.error(undefined)
+          this.status('resolved')
+        })
+      },
+
+      // Record a failed run
+      // The value is left as the last successful one unless keepValue is off
+      reject (error) {
+        batch(() => {
+          if (!this.keepValue) this.value(undefined)
+          this.error(error)
+          this.status('rejected')
+        })
+      },
+
+      // Call and clear the registered cleanups
+      // Reads inside cleanups are not tracked
+      // Returns the errors thrown so all the cleanups get a chance to run
+      runCleanups () {
+        const cleanups = this.cleanups
+        this.cleanups = []
+        const errorList = []
+        cleanups.forEach(cleanup => {
+          try { hide(cleanup) } catch (error) { errorList.push(error) }
+        })
+        return errorList
+      },
+
+      // Make the current run stale
+      // Aborts the AbortSignal handed out for it by trackedContext
+      cancelRun () {
+        if (this.run && this.run.controller) this.run.controller.abort()
+        this.run = null
+      },
+
+      // Name used to identify the observer in error messages
+      describe () {
+        return 'Observer "' + (this.name || this.execute.name || 'anonymous') + '"'
+      },
+
       // Redefines the observer with a new exec function
       // Maintains the context, Signal dependents, and awake status
       redefine (newExecute) {
@@ -540,7 +1815,13 @@ class Observer extends Function {
       stop () {
         if (!this.awake) return false
         this.awake = false
+        this.pendingTrigger = null
         this.clearDependencies()
+        this.cancelRun()
+        throwErrors(
+          'Multiple errors from observer cleanup',
+          this.disposeChildren().concat(this.runCleanups())
+        )
         return true
       },
 
@@ -556,6 +1837,14 @@ class Observer extends Function {
 
     }
 
+    // Observers created while another Observer is executing are owned by it
+    const owner = ownerStack[ownerStack.length - 1]
+    if (owner) owner.adopt(observerCore)
+
+    signalCoreExtractor.get(observerCore.value).owner = observerCore
+    signalCoreExtractor.get(observerCore.status).owner = observerCore
+    signalCoreExtractor.get(observerCore.error).owner = observerCore
+
     // Public interace to hide the ugliness of how observers work
     // An empty call force triggers the block and turns it on
     // A call with arguments gets those arguments passed as a context
@@ -565,14 +1854,19 @@ class Observer extends Function {
       apply (target, thisArg, args) {
         observerCore.thisContext = thisArg
         observerCore.argsContext = args
+        // Direct calls aren't caused by any write waiting to trigger it
+        if (tracing) observerCore.pendingTrigger = null
         observerCore.awake = true
         observerCore.trigger()
-        return observerCore.value()
+        const value = observerCore.value()
+        // Async observers give back the promise of the run instead
+        return observerCore.promise || value
       },
       construct (target, args, receiver) {
         return Reflect.construct(observerCore.execute, args)
       }
     })
+    observerCore.observerInterface = observerInterface
     observerInterface.start = () => observerCore.start()
     observerInterface.stop = () => observerCore.stop()
     // Note that setting a new context does not cause the observer to trigger
@@ -599,70 +1893,1935 @@ class Observer extends Function {
     Object.defineProperty(observerInterface, 'value', {
       get () { return observerCore.value() }
     })
+    // Allow reads of the outcome of the last run
+    // Mostly useful for async observers
+    // The error is unwrapped so it can be compared with what was thrown
+    Object.defineProperty(observerInterface, 'status', {
+      get () { return observerCore.status() }
+    })
+    Object.defineProperty(observerInterface, 'error', {
+      get () { return shuck(observerCore.error()) }
+    })
+    // What caused the last run while tracing
+    Object.defineProperty(observerInterface, 'lastTrigger', {
+      get () { return observerCore.lastTrigger }
+    })
+    dependentCoreExtractor.set(observerInterface, observerCore)
     // Does not trigger on initialization until () or .start() are called
     return observerInterface
   }
 }
 
-// Unobserve is syntactic sugar to create a dummy observer to block the triggers
-// While also returning the contents of the block
-const hide = (execute) => {
-  let result
-  dependencyStack.push(null)
-  try {
-    result = execute()
-  } finally {
-    dependencyStack.pop()
-  }
-  return result
-}
+// Computed values are lazy cached values derived from other reactive values
+// - Read a computed value by calling it with no arguments
+// - It only evaluates when read, and caches the result for later reads
+// - When a dependency is updated it is marked dirty instead of recomputing
+// - If nothing depends on it the next read recomputes it
+// - If Observers depend on it, it recomputes and only triggers them
+//   if the new value is different
+// Like Signals, object values are wrapped in a Reactor when read
+// -----------------------------------------------------------------------------
+// Examples
+// const reactor = new Reactor({ price: 2, quantity: 3 })
+// const total = computed(() => reactor.price * reactor.quantity)
+// total()                        Computes and returns 6
+// total()                        Returns the cached 6
+// reactor.price = 3              Marks total as dirty without recomputing
+// total()                        Recomputes and returns 9
+class Computed extends Function {
+  constructor (execute, options = {}) {
+    // Parameter validation
+    if (typeof execute !== 'function') {
+      throw new TypeError('Cannot create computed with a non-function')
+    }
 
-// Method for allowing users to batch multiple observer updates together
-const batch = (execute) => {
-  let result
-  if (batcher === null) {
-    // Set a global batcher so signals know not to trigger observers immediately
-    // Using a set allows the removal of redundant triggering in observers
-    batcher = new Set()
-    let batchedObservers = []
-    // Execute the given block and collect the triggerd observers
-    try {
-      result = execute()
-    } finally {
-      // Clear the batching mode
-      // This needs to be done before observer triggering in case any observers
-      // subsequently themselves trigger batches
-      // This also needs to be done first before throwing errors
-      // Otherwise the thrown errors will mean we never unset the batcher
-      // This will cause subsequent triggers to get stuck in this dead batcher
-      // Never to be executed
-      batchedObservers = Array.from(batcher) // Make a copy to freeze it
-      batcher = null
-    }
-
-    // Trigger the collected observers
-    // If an error occurs, collect it and keep going
-    // A conslidated error will be thrown at the end of propagation
-    const errorList = []
-    batchedObservers.forEach(observer => {
-      try { observer.trigger() } catch (error) { errorList.push(error) }
-    })
+    // Internal engine of a Computed for how it works
+    // Acts as a dependent to its upstream Signals like an Observer
+    // Its cached value is a Signal which downstream Observers depend on
+    const computedCore = {
+      // Function deriving the value
+      execute,
+      // Name given with the name option
+      // Used instead of the name of execute to describe the computed value
+      name: options.name,
+      // Whether the cached value is out of date
+      dirty: true,
+      // Whether execute is in progress
+      // Used to detect computed values which depend on themselves
+      computing: false,
+      // The Signals the execution block reads from
+      // Cleared and rebuilt at every computation
+      dependencies: new WeakRefSet(),
+      // The cached value
+      // Stored in a Signal which makes it observable
+      // Downstream Observers are only triggered if it changes
+      // according to the equals option
+      value: new Signal(undefined, { equals: options.equals }),
+      // Set to the Signal which invalidated this while it was computing
+      // so a LoopError can be thrown once it is done
+      loopCause: null,
+      // Position in the dependency graph
+      // Always higher than the Observers and Computed values it depends on
+      height: 0,
+      // While tracing, what caused the next and last recompute
+      // Continued by the traces of anything its value triggers
+      pendingTrigger: null,
+      lastTrigger: null,
 
-    // If any errors occured during propagation
-    // consolidate and throw them
-    if (errorList.length === 1) {
-      throw errorList[0]
-    } else if (errorList.length > 1) {
-      const errorMessage = 'Multiple errors from batched reactor observers'
-      throw new CompoundError(errorMessage, errorList)
+      ...dependentMethods,
+
+      // Mark this and any computed values downstream as out of date
+      // Downstream values need to be marked too so that reads of them
+      // recompute instead of returning their stale cached value
+      markDirty (cause) {
+        if (this.dirty) return
+        this.dirty = true
+        if (cause) this.pendingTrigger = cause
+        const downstreamCause = cause ? traceThrough(cause, this) : null
+        signalCoreExtractor.get(this.value).dependents.forEach(dependent => {
+          if (dependent.markDirty) dependent.markDirty(downstreamCause)
+        })
+      },
+
+      // Called when a dependency is written to
+      // Recomputing is postponed until something actually needs the value
+      invalidate (cause) {
+        this.markDirty(cause)
+        // Nothing downstream to notify so wait until the next read
+        // Let go of the dependencies until then since the next read
+        // tracks them again, so a Computed nothing reads can be collected
+        if (signalCoreExtractor.get(this.value).dependents.size === 0) {
+          this.clearDependencies()
+          return
+        }
+        // Downstream Observers need to know if the value changed
+        // so schedule a recompute in the next flush
+        schedule(this)
+      },
+
+      // Recompute the value if it is dirty
+      // Writing to the value Signal only triggers downstream Observers
+      // if the new value is different
+      trigger () {
+        if (!this.dirty) return
+        scheduled.delete(this)
+        if (this.computing) {
+          throw new LoopError(this.describe() + ' depends on itself')
+        }
+        if (tracing) this.traceTrigger()
+        this.clearDependencies()
+        this.loopCause = null
+        this.computing = true
+        dependencyStack.push(this)
+        let result
+        const start = profiling ? performance.now() : null
+        try {
+          result = this.execute()
+        } finally {
+          dependencyStack.pop()
+          this.computing = false
+          if (start !== null) profileRun(this, performance.now() - start)
+        }
+        this.throwIfLooped()
+        this.dirty = false
+        this.value(result)
+      },
+
+      // Bring the value up to date and read it
+      read () {
+        this.trigger()
+        return this.value()
+      },
+
+      // Bring the value up to date and read it without creating a dependency
+      peek () {
+        this.trigger()
+        return this.value.peek()
+      },
+
+      // Name used to identify the computed value in error messages
+      describe () {
+        return 'Computed "' + (this.name || this.execute.name || 'anonymous') + '"'
+      }
+    }
+    signalCoreExtractor.get(computedCore.value).owner = computedCore
+
+    // Public interface which reads the value when called
+    super()
+    const computedInterface = new Proxy(this, {
+      apply (target, thisArg, args) {
+        if (args.length > 0) {
+          throw new TypeError('Cannot write to a computed value')
+        }
+        return computedCore.read()
+      }
+    })
+    computedInterface.peek = () => computedCore.peek()
+    dependentCoreExtractor.set(computedInterface, computedCore)
+    return computedInterface
+  }
+}
+
+// Shorthand for creating a Computed value
+const computed = (execute, options) => new Computed(execute, options)
+
+// Check if a value is a Promise or Promise-like
+const isThenable = (value) =>
+  value !== null &&
+  (typeof value === 'object' || typeof value === 'function') &&
+  typeof value.then === 'function'
+
+// Async Observers lose track of their dependencies after the first await
+// since they are no longer on the dependency stack
+// trackedContext captures the running Observer so reads can be tracked later
+// - Call it synchronously at the start of the Observer
+// - It returns a function which runs a block as part of that Observer
+// - If the Observer has since been retriggered or stopped the run is stale
+//   and the block runs without tracking anything
+// - Its `signal` is an AbortSignal aborted when the run becomes stale
+// -----------------------------------------------------------------------------
+// Examples
+// new Observer(async () => {
+//   const tracked = trackedContext()
+//   const user = await fetchUser(reactor.id, { signal: tracked.signal })
+//   return tracked(() => reactor.greeting + user.name)
+// })()
+const trackedContext = () => {
+  const observer = dependencyStack[dependencyStack.length - 1]
+  if (!observer || typeof observer.run === 'undefined') {
+    throw new Error('trackedContext must be called synchronously inside an Observer')
+  }
+  const run = observer.run
+  const tracked = (execute) => {
+    const isCurrent = observer.run === run
+    dependencyStack.push(isCurrent ? observer : null)
+    ownerStack.push(isCurrent ? observer : null)
+    let result
+    try {
+      result = execute()
+    } finally {
+      dependencyStack.pop()
+      ownerStack.pop()
+    }
+    if (isCurrent) observer.throwIfLooped()
+    return result
+  }
+  Object.defineProperty(tracked, 'stale', {
+    get () { return observer.run !== run }
+  })
+  Object.defineProperty(tracked, 'signal', {
+    get () {
+      if (!run.controller) {
+        run.controller = new AbortController()
+        if (observer.run !== run) run.controller.abort()
+      }
+      return run.controller.signal
+    }
+  })
+  return tracked
+}
+
+// Register a function to be called before the current Observer runs again
+// and when it is stopped
+// Used to tear down timers, listeners and subscriptions set up by the Observer
+// Must be called inside an Observer, including inside hide blocks
+// -----------------------------------------------------------------------------
+// Examples
+// new Observer(() => {
+//   const timer = setInterval(() => console.log(reactor.message), 1000)
+//   onCleanup(() => clearInterval(timer))
+// })()
+const onCleanup = (cleanup) => {
+  if (typeof cleanup !== 'function') {
+    throw new TypeError('Cannot register a non-function cleanup')
+  }
+  // Skip past hide blocks to find the Observer actually running
+  const observer = dependencyStack.findLast(dependent => dependent !== null)
+  if (!observer || !observer.cleanups) {
+    throw new Error('onCleanup must be called inside an Observer')
+  }
+  observer.cleanups.push(cleanup)
+}
+
+// Create a scope to group Observers which aren't nested in another Observer
+// - Observers created inside the scope's block are owned by it
+// - Disposing the scope stops all of them at once
+// - Roots are detached so a root created inside an Observer
+//   is not stopped when that Observer reruns
+// The block is called straight away with the scope
+// More Observers can be added to the scope later with run
+// -----------------------------------------------------------------------------
+// Examples
+// const scope = createRoot(() => {
+//   new Observer(() => console.log(reactor.foo))()
+//   new Observer(() => console.log(reactor.bar))()
+// })
+// scope.run(() => new Observer(() => console.log(reactor.baz))())
+// scope.dispose()                  Stops all three observers
+const createRoot = (execute) => {
+  const scopeCore = {
+    children: new Set(),
+    disposed: false,
+    ...ownerMethods
+  }
+  const scope = {
+    // Run a block with this scope owning any observers it creates
+    run (block) {
+      if (scopeCore.disposed) {
+        throw new Error('Cannot run in a disposed scope')
+      }
+      ownerStack.push(scopeCore)
+      try {
+        return block(scope)
+      } finally {
+        ownerStack.pop()
+      }
+    },
+    // Stop all owned observers
+    // Returns false if the scope was already disposed
+    dispose () {
+      if (scopeCore.disposed) return false
+      scopeCore.disposed = true
+      throwErrors(
+        'Multiple errors from scope dispose',
+        scopeCore.disposeChildren()
+      )
+      return true
+    }
+  }
+  if (typeof execute === 'function') scope.run(execute)
+  return scope
+}
+
+// The objects directly inside a Reactor's source as [key, value] pairs
+// Reads the source directly so no dependencies are created
+// Getters are skipped to avoid running them
+// Weak collections can't be looked into so have none
+const childObjects = (source) => {
+  let entries = []
+  if (source instanceof Map) {
+    entries = Array.from(source)
+  } else if (source instanceof Set) {
+    entries = Array.from(source, value => [value, value])
+  } else if (!(source instanceof WeakMap || source instanceof WeakSet)) {
+    entries = Reflect.ownKeys(source).map(key => [
+      key, Reflect.getOwnPropertyDescriptor(source, key).value
+    ])
+  }
+  return entries.filter(([, value]) => value !== null && typeof value === 'object')
+}
+
+// Listen to the change records of a Reactor and optionally everything in it
+// Keeps track of objects nested in the Reactor as they are added and removed
+// The listener is called with each record and the path to the changed Reactor
+// Listening inside an Observer stops when it reruns
+// Returns a function which stops listening
+const followChanges = (rootCore, deep, onRecord) => {
+  // The path to each Reactor being listened to and the listener on it
+  const paths = new Map()
+  const listeners = new Map()
+
+  const listen = (core, path) => {
+    paths.set(core, path)
+    if (listeners.has(core)) return
+    const listener = (record) => {
+      // Objects coming or going changes what is nested inside
+      const isObject = (value) => value !== null && typeof value === 'object'
+      if (deep && (isObject(record.oldValue) || isObject(record.newValue))) sync()
+      if (!paths.has(core)) return
+      onRecord(record, paths.get(core), core)
+    }
+    listeners.set(core, listener)
+    core.changeListeners.add(listener)
+  }
+
+  const unlisten = (core) => {
+    core.changeListeners.delete(listeners.get(core))
+    listeners.delete(core)
+    paths.delete(core)
+  }
+
+  // Find everything nested in the root Reactor
+  // Searched breadth first so each object gets its shortest path
+  // Objects already seen are skipped which also handles cycles
+  const sync = () => {
+    const found = new Map([[rootCore, []]])
+    const queue = [rootCore]
+    while (queue.length > 0) {
+      const core = queue.shift()
+      for (const [key, value] of childObjects(core.source)) {
+        const childCore = reactorCoreExtractor.get(wrap(value))
+        if (!childCore || found.has(childCore)) continue
+        found.set(childCore, [...found.get(core), key])
+        queue.push(childCore)
+      }
+    }
+    Array.from(listeners.keys()).forEach(core => {
+      if (!found.has(core)) unlisten(core)
+    })
+    found.forEach((path, core) => listen(core, path))
+  }
+
+  const stop = () => {
+    Array.from(listeners.keys()).forEach(unlisten)
+  }
+  if (deep) sync()
+  else listen(rootCore, [])
+  // Stop with the Observer or scope it was created in
+  const owner = ownerStack[ownerStack.length - 1]
+  if (owner) owner.adopt({ stop })
+  return stop
+}
+
+// Call a function whenever a Reactor changes
+// The handler is given a description of each change as it happens
+// - path: the properties leading from the watched Reactor to the change
+// - oldValue: the value before the change
+// - newValue: the value after the change
+// Options
+// - deep: also watch every object nested inside the Reactor
+//   including ones added later
+// - immediate: call the handler straight away with the whole Reactor
+// Reads inside the handler don't create dependencies
+// Watches made inside an Observer are stopped when it reruns
+// Returns a function which stops watching
+// -----------------------------------------------------------------------------
+// Examples
+// const state = new Reactor({ user: { name: 'Ann' } })
+// const unwatch = watch(state, ({ path, oldValue, newValue }) => {
+//   console.log(path.join('.'), oldValue, '->', newValue)
+// }, { deep: true })
+// state.user.name = 'Bob'          Prints "user.name Ann -> Bob"
+// unwatch()                        Stops printing changes
+const watch = (reactor, handler, options = {}) => {
+  const rootCore = reactorCoreExtractor.get(reactor)
+  if (!rootCore) throw new TypeError('Cannot watch a non-Reactor')
+  if (typeof handler !== 'function') {
+    throw new TypeError('Cannot watch with a non-function handler')
+  }
+  const { deep = false, immediate = false } = options
+  const unwatch = followChanges(rootCore, deep, (record, path) => {
+    // Individual property changes are already reported
+    if (record.type === 'splice') return
+    handler({
+      path: [...path, record.property],
+      oldValue: wrap(record.oldValue),
+      newValue: wrap(record.newValue)
+    })
+  })
+  if (immediate) {
+    hide(() => handler({ path: [], oldValue: undefined, newValue: reactor }))
+  }
+  return unwatch
+}
+
+// Subscribe to structured records of every change made to a Reactor
+// and everything nested inside it
+// Each record has
+// - type: "set" for assignments, "define" for Object.defineProperty,
+//   "delete" for deletes and "splice" for array methods
+// - target: the Reactor which was changed
+// - path: the properties leading from the observed Reactor to the change
+// - oldValue, newValue: the values before and after the change
+// Array methods like push, splice and sort give a single splice record
+// with the array's path instead of a record for every index they touch
+// - index: where the changed range of the array starts
+// - removed, added: what was in the range before and after
+//   also given as the oldValue and newValue
+// Options
+// - deep: include objects nested in the Reactor. Defaults to true
+// Returns a function which stops the subscription
+// -----------------------------------------------------------------------------
+// Examples
+// const state = new Reactor({ todos: [] })
+// observeChanges(state, record => log.push(record))
+// state.todos.push('a', 'b')       Records one splice of todos at index 0
+// state.title = 'Todo'             Records a set of title
+const observeChanges = (reactor, listener, options = {}) => {
+  const rootCore = reactorCoreExtractor.get(reactor)
+  if (!rootCore) throw new TypeError('Cannot observe changes of a non-Reactor')
+  if (typeof listener !== 'function') {
+    throw new TypeError('Cannot observe changes with a non-function listener')
+  }
+  const { deep = true } = options
+  return followChanges(rootCore, deep, (record, path, core) => {
+    // Changes made by array methods are reported by their splice record
+    if (record.splicing) return
+    const target = reactorCache.get(core.source)
+    if (record.type === 'splice') {
+      const removed = record.removed.map(wrap)
+      const added = record.added.map(wrap)
+      listener({
+        type: 'splice',
+        target,
+        path,
+        index: record.index,
+        removed,
+        added,
+        oldValue: removed,
+        newValue: added
+      })
+      return
+    }
+    listener({
+      type: record.type,
+      target,
+      path: [...path, record.property],
+      oldValue: wrap(record.oldValue),
+      newValue: wrap(record.newValue)
+    })
+  })
+}
+
+// Add a change to the journals of the transactions in progress
+// Splices only summarise changes which are already recorded one by one
+const journalChange = (core, record) => {
+  if (record.type === 'splice') return
+  journals.forEach(journal => journal.push({ core, record }))
+}
+
+// Undo a change from a change record by making the opposite change
+// Made through the Reactor so dependents are triggered as normal
+// Properties get their old descriptor back
+// Collections get their old entry back
+const revertChange = (core, record) => {
+  const target = reactorCache.get(core.source)
+  if ('oldDescriptor' in record) {
+    if (record.oldDescriptor) {
+      Reflect.defineProperty(target, record.property, record.oldDescriptor)
+    } else {
+      Reflect.deleteProperty(target, record.property)
+    }
+  } else if (core.source instanceof Set || core.source instanceof WeakSet) {
+    if (record.type === 'delete') target.add(record.property)
+    else target.delete(record.property)
+  } else {
+    if (record.hadKey) target.set(record.property, record.oldValue)
+    else target.delete(record.property)
+  }
+}
+
+// Make a change from a change record again after it was reverted
+const reapplyChange = (core, record) => {
+  const target = reactorCache.get(core.source)
+  if ('newDescriptor' in record) {
+    if (record.newDescriptor) {
+      Reflect.defineProperty(target, record.property, record.newDescriptor)
+    } else {
+      Reflect.deleteProperty(target, record.property)
     }
-  // No need to do anything if batching is already taking place }
+  } else if (record.type === 'delete') {
+    target.delete(record.property)
+  } else if (core.source instanceof Set || core.source instanceof WeakSet) {
+    target.add(record.property)
   } else {
+    target.set(record.property, record.newValue)
+  }
+}
+
+// Record changes to a Reactor and everything in it so they can be undone
+// Changes are grouped into transactions
+// - Everything inside a single batch is one transaction
+// - So is each method call like push or splice
+// - Changes Observers make in response are part of the same transaction
+// - Changes reverted by a failed transaction are left out
+// Undoing and redoing replays the opposite changes through the Reactor
+// so Observers are triggered as normal
+// canUndo and canRedo are observable
+// Recording goes on until stopped, even if created inside an Observer
+// Options
+// - limit: the most transactions to remember. Defaults to no limit
+// -----------------------------------------------------------------------------
+// Examples
+// const doc = new Reactor({ title: 'Draft', tags: [] })
+// const docHistory = history(doc, { limit: 100 })
+// batch(() => {
+//   doc.title = 'Final'
+//   doc.tags.push('done')
+// })
+// docHistory.undo()                Title is 'Draft' and tags are empty again
+// docHistory.canRedo               true
+// docHistory.redo()                Title is 'Final' and tags has 'done'
+const history = (reactor, options = {}) => {
+  const rootCore = reactorCoreExtractor.get(reactor)
+  if (!rootCore) throw new TypeError('Cannot record history of a non-Reactor')
+  const { limit = Infinity } = options
+  if (!(limit === Infinity || (Number.isInteger(limit) && limit > 0))) {
+    throw new RangeError('History limit must be a positive integer')
+  }
+  const undoStack = []
+  const redoStack = []
+  const canUndo = new Signal(false)
+  const canRedo = new Signal(false)
+  const updateSignals = () => batch(() => {
+    canUndo(undoStack.length > 0)
+    canRedo(redoStack.length > 0)
+  })
+
+  // Changes waiting for the round they were made in to settle
+  let pending = null
+  // Changes made while undoing or redoing aren't new history
+  let replaying = false
+  const commit = () => {
+    // Changes reverted by a failed transaction never happened
+    const transaction = pending.filter(({ record }) => !revertedChanges.has(record))
+    pending = null
+    if (transaction.length === 0) return
+    undoStack.push(transaction)
+    if (undoStack.length > limit) undoStack.shift()
+    redoStack.length = 0
+    updateSignals()
+  }
+  // Only stopped through stop
+  // Not along with an Observer history happens to be created in
+  const stop = unowned(() => followChanges(rootCore, true, (record, path, core) => {
+    // Splices are already recorded as their individual changes
+    if (replaying || reverting || record.type === 'splice') return
+    if (!pending) {
+      pending = []
+      settledCallbacks.push(commit)
+    }
+    pending.push({ core, record })
+  }))
+
+  // Replay a transaction and move it to the other stack
+  const replay = (from, to, apply) => {
+    if (from.length === 0) return false
+    const transaction = from.pop()
+    replaying = true
+    try {
+      batch(() => apply(transaction))
+    } finally {
+      replaying = false
+      to.push(transaction)
+      updateSignals()
+    }
+    return true
+  }
+
+  return {
+    // Revert the last transaction
+    // Returns false if there was nothing to undo
+    undo () {
+      return replay(undoStack, redoStack, transaction => {
+        // Changes are reverted last to first
+        for (let index = transaction.length - 1; index >= 0; index--) {
+          revertChange(transaction[index].core, transaction[index].record)
+        }
+      })
+    },
+    // Reapply the last undone transaction
+    // Returns false if there was nothing to redo
+    redo () {
+      return replay(redoStack, undoStack, transaction => {
+        transaction.forEach(({ core, record }) => reapplyChange(core, record))
+      })
+    },
+    get canUndo () { return canUndo() },
+    get canRedo () { return canRedo() },
+    // Forget all recorded transactions
+    clear () {
+      undoStack.length = 0
+      redoStack.length = 0
+      updateSignals()
+    },
+    // Stop recording changes
+    stop
+  }
+}
+
+// Unobserve is syntactic sugar to create a dummy observer to block the triggers
+// While also returning the contents of the block
+const hide = (execute) => {
+  let result
+  dependencyStack.push(null)
+  try {
     result = execute()
+  } finally {
+    dependencyStack.pop()
   }
   return result
 }
 
+// Run a block without an owner
+// Observers and listeners made inside aren't stopped along with
+// the Observer or scope around it so they have to be stopped explicitly
+const unowned = (execute) => {
+  ownerStack.push(null)
+  try {
+    return execute()
+  } finally {
+    ownerStack.pop()
+  }
+}
+
+// Add a dependent to the schedule to be triggered in the next flush
+// Records how far down the chain of triggers it is
+// so that runaway chains can be caught
+const schedule = (dependent) => {
+  if (scheduled.has(dependent)) return
+  const depth = propagationDepth + 1
+  // Observers can loop indirectly through each other's values
+  // These are only caught by how long the chain of triggers gets
+  if (depth > maxPropagationDepth) {
+    const chain = [dependent]
+    for (
+      let link = flushingDependent;
+      link && chain.length <= 10;
+      link = link.scheduledBy
+    ) chain.unshift(link)
+    throw new LoopError(
+      'Observer propagation exceeded maximum depth of ' +
+      maxPropagationDepth + ': ... -> ' +
+      chain.map(link => link.describe()).join(' -> ')
+    )
+  }
+  dependent.propagationDepth = depth
+  dependent.scheduledBy = flushingDependent
+  scheduled.add(dependent)
+  enqueue(dependent)
+}
+
+// Hold an Observer back until its scheduler calls back
+// The first Observer deferred to a scheduler asks it for a callback
+// Any others deferred before then just join the same set
+const defer = (observer) => {
+  const { scheduler } = observer
+  if (deferred.has(scheduler)) {
+    deferred.get(scheduler).add(observer)
+    return
+  }
+  deferred.set(scheduler, new Set([observer]))
+  scheduler(() => {
+    const observers = deferred.get(scheduler)
+    deferred.delete(scheduler)
+    // The write which triggered them is long done so there is nothing
+    // to throw errors at
+    // Errors nothing handles are thrown once everything has run
+    // Hand them all to the schedule together so they run in graph order
+    throwErrors(
+      'Multiple errors from deferred observers',
+      propagateDetached(() => observers.forEach(observer => schedule(observer)))
+    )
+  })
+}
+
+// Make changes outside of any caller and propagate them
+// e.g. from a scheduler callback or an async Observer settling
+// There is nothing to throw errors at so they go to the failing
+// Observer's onError or the global error handler instead
+// Returns the errors which nothing handles
+const propagateDetached = (execute) => {
+  const unhandled = []
+  const report = (dependent, error) => {
+    if (!dependent.reportErrors) return unhandled.push(error)
+    try { dependent.reportErrors('', [error]) } catch (thrown) { unhandled.push(thrown) }
+  }
+  batchDepth += 1
+  try {
+    execute()
+  } catch (error) {
+    unhandled.push(error)
+  } finally {
+    batchDepth -= 1
+  }
+  unhandled.push(...flush(report))
+  return unhandled
+}
+
+// Trigger everything in the schedule
+// Always picks the lowest scheduled dependent in the graph to run next
+// so by the time anything runs, the values it reads upstream have settled
+// Dependents scheduled while flushing are picked up by the same loop
+// Does nothing while batching or if a flush is already in progress
+// Returns a list of errors thrown by the dependents
+// unless report is given, which is called with each failed dependent
+// and its error instead
+const flush = (report) => {
+  if (batchDepth > 0 || flushing) return []
+  flushing = true
+  // If an error occurs, collect it and keep going
+  const errorList = []
+  try {
+    while (scheduleQueue.length > 0) {
+      const entry = dequeue()
+      const next = entry.dependent
+      // Already run or requeued at a different height
+      if (!scheduled.has(next) || entry.height !== next.height) continue
+      scheduled.delete(next)
+      flushingDependent = next
+      propagationDepth = next.propagationDepth
+      try {
+        next.trigger()
+      } catch (error) {
+        if (report) report(next, error)
+        else errorList.push(error)
+      }
+    }
+  } finally {
+    flushing = false
+    flushingDependent = null
+    propagationDepth = 0
+  }
+  // Everything has propagated so let anything waiting know
+  while (settledCallbacks.length > 0) {
+    const callbacks = settledCallbacks
+    settledCallbacks = []
+    callbacks.forEach(callback => {
+      try { callback() } catch (error) { errorList.push(error) }
+    })
+  }
+  return errorList
+}
+
+// Consolidate errors collected during propagation and throw them
+// A single error is thrown as is
+const throwErrors = (message, errorList) => {
+  if (errorList.length === 1) {
+    throw errorList[0]
+  } else if (errorList.length > 1) {
+    throw new CompoundError(message, errorList)
+  }
+}
+
+// Method for allowing users to batch multiple observer updates together
+// Writes inside the batch only schedule their dependents
+// The schedule is then flushed once the outermost batch is done
+// Since the schedule is a set, dependents are triggered at most once
+const batch = (execute) => {
+  let result
+  const errorList = []
+  batchDepth += 1
+  try {
+    result = execute()
+  } catch (error) {
+    // Still flush what was scheduled before the error
+    // Otherwise those dependents would be stuck until the next flush
+    errorList.push(error)
+  } finally {
+    batchDepth -= 1
+  }
+  errorList.push(...flush())
+  // If any errors occured during propagation
+  // consolidate and throw them
+  throwErrors('Multiple errors from batched reactor observers', errorList)
+  return result
+}
+
+// Like batch but all or nothing
+// If the block throws, every change it made through Reactors is reverted
+// before anything is triggered, then the error is rethrown
+// Observers never see the half finished changes
+// Only changes made synchronously inside the block can be reverted
+// Changes made by Observers after the block finishes are not part of it
+// -----------------------------------------------------------------------------
+// Examples
+// const account = new Reactor({ balance: 100, log: [] })
+// transaction(() => {
+//   account.balance -= 150
+//   account.log.push('withdrew 150')
+//   if (account.balance < 0) throw new Error('Insufficient funds')
+// })                               Throws with balance still 100 and log empty
+const transaction = (execute) => batch(() => {
+  const journal = []
+  journals.push(journal)
+  let succeeded = false
+  try {
+    const result = execute()
+    succeeded = true
+    return result
+  } finally {
+    journals.pop()
+    // Revert last to first so each change sees the state it was made in
+    // Enclosing transactions record the reverts too
+    // so they can still revert themselves exactly
+    if (!succeeded) {
+      journal.forEach(({ record }) => revertedChanges.add(record))
+      reverting = true
+      try {
+        for (let index = journal.length - 1; index >= 0; index--) {
+          revertChange(journal[index].core, journal[index].record)
+        }
+      } finally {
+        reverting = false
+      }
+    }
+  }
+})
+
+// The last snapshot taken of each Reactor and its version at the time
+// Reused by later snapshots if nothing in it has changed since
+const snapshotCache = new WeakMap()
+
+// Whether a new snapshot has the same contents as an older one
+// Nested values are compared by identity since they are snapshots too
+const sameSnapshot = (previous, current) => {
+  if (current instanceof Map) {
+    return previous.size === current.size && Array.from(current).every(
+      ([key, value]) => previous.has(key) && previous.get(key) === value
+    )
+  }
+  if (current instanceof Set) {
+    return previous.size === current.size &&
+      Array.from(current).every(value => previous.has(value))
+  }
+  const keys = Object.keys(current)
+  return keys.length === Object.keys(previous).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(previous, key) &&
+      previous[key] === current[key])
+}
+
+// Make a deeply frozen plain copy of a Reactor and everything in it
+// - Arrays, Maps, Sets and Dates are copied as their own types
+// - Other objects are copied with their own enumerable properties
+// - Cycles and shared objects are kept as they are in the original
+// - Weak collections can't be copied so they are left as is
+// Parts which haven't changed since the last snapshot are reused
+// so unchanged parts of two snapshots are identical
+// Inside an Observer every value copied is read through its Reactor
+// so the Observer reruns whenever anything in the snapshot changes
+// Note that freezing does not stop the contents of Maps, Sets and Dates
+// from being changed
+// -----------------------------------------------------------------------------
+// Examples
+// const state = new Reactor({ user: { name: 'Ann' }, todos: [] })
+// const first = snapshot(state)
+// state.todos.push('a')
+// const second = snapshot(state)
+// first.user === second.user       Unchanged parts are shared
+// new Observer(() => {
+//   worker.postMessage(snapshot(state))  Reruns on any nested change
+// })()
+const snapshot = (value) => {
+  // Only read through Reactors when something is tracking the reads
+  // Otherwise the sources are read directly to avoid making Signals
+  const tracking = dependencyStack.length > 0 &&
+    dependencyStack[dependencyStack.length - 1] !== null
+  // Copies made during this snapshot to keep cycles and sharing intact
+  const copies = new Map()
+
+  const copy = (value) => {
+    value = shuck(value)
+    if (value === null || typeof value !== 'object') return value
+    if (value instanceof WeakMap || value instanceof WeakSet) return value
+    if (rawObjects.has(value)) return value
+    const core = reactorCoreExtractor.get(wrap(value))
+    if (copies.has(core)) return copies.get(core)
+    const source = core.source
+    const target = tracking ? reactorCache.get(source) : source
+    // Getters can depend on anything so copies with them aren't reused
+    let hasGetters = false
+    let result
+    if (source instanceof Date) {
+      result = new Date(source.getTime())
+      copies.set(core, result)
+    } else if (source instanceof Map) {
+      result = new Map()
+      copies.set(core, result)
+      for (const [key, item] of target.entries()) result.set(key, copy(item))
+    } else if (source instanceof Set) {
+      result = new Set()
+      copies.set(core, result)
+      for (const item of target.values()) result.add(copy(item))
+    } else {
+      result = Array.isArray(source)
+        ? new Array(target.length)
+        : Object.create(Object.getPrototypeOf(source))
+      copies.set(core, result)
+      for (const key of Object.keys(target)) {
+        const descriptor = Reflect.getOwnPropertyDescriptor(source, key)
+        if (descriptor && descriptor.get) hasGetters = true
+        result[key] = copy(target[key])
+      }
+    }
+    const previous = snapshotCache.get(core)
+    if (
+      previous &&
+      !hasGetters &&
+      previous.version === core.version &&
+      !(source instanceof Date) &&
+      sameSnapshot(previous.value, result)
+    ) {
+      result = previous.value
+      copies.set(core, result)
+    } else {
+      Object.freeze(result)
+      snapshotCache.set(core, { version: core.version, value: result })
+    }
+    return result
+  }
+
+  return copy(value)
+}
+
+// Turn a Reactor and everything in it into a JSON string
+// Sources are read directly so no dependencies or Signals are made
+// Values JSON can't represent are tagged with their type
+// - Objects, arrays, Maps, Sets and Dates are tagged with an id
+//   and repeat appearances refer back to it so cycles survive
+// - undefined, NaN, Infinity and BigInts are tagged too
+// - Functions, symbols and symbol keys are skipped like with JSON
+// Use hydrate to turn the string back into state
+// -----------------------------------------------------------------------------
+// Examples
+// const state = new Reactor({ tags: new Set(['a']), created: new Date() })
+// localStorage.setItem('state', serialize(state))
+const serialize = (value) => {
+  const ids = new Map()
+  const encode = (value) => {
+    value = shuck(value)
+    if (typeof value === 'undefined') return { $type: 'undefined' }
+    if (typeof value === 'bigint') return { $type: 'BigInt', value: String(value) }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      return { $type: 'Number', value: String(value) }
+    }
+    if (value === null || typeof value !== 'object') return value
+    if (ids.has(value)) return { $ref: ids.get(value) }
+    const $id = ids.size
+    ids.set(value, $id)
+    if (value instanceof Date) return { $id, $type: 'Date', value: encode(value.getTime()) }
+    if (value instanceof Map) {
+      return {
+        $id,
+        $type: 'Map',
+        value: Array.from(value)
+          .filter(([key, item]) => isSerializable(key) && isSerializable(item))
+          .map(([key, item]) => [encode(key), encode(item)])
+      }
+    }
+    if (value instanceof Set) {
+      return { $id, $type: 'Set', value: Array.from(value).filter(isSerializable).map(encode) }
+    }
+    if (Array.isArray(value)) {
+      // Unserializable items become null to keep the indexes the same
+      return {
+        $id,
+        $type: 'Array',
+        value: Array.from(value, item => isSerializable(item) ? encode(item) : null)
+      }
+    }
+    const encoded = {}
+    for (const key of Object.keys(value)) {
+      const item = value[key]
+      if (isSerializable(item)) encoded[key] = encode(item)
+    }
+    return { $id, $type: 'Object', value: encoded }
+  }
+  return JSON.stringify(encode(value))
+}
+
+// Whether serialize keeps a value
+const isSerializable = (value) =>
+  typeof value !== 'function' && typeof value !== 'symbol'
+
+// Write a value as a plain data property of an object
+// Assigning "__proto__" would change the prototype instead
+// so it is defined as a data property like serialize gives back
+const assignState = (object, key, value) => {
+  if (key !== '__proto__') {
+    object[key] = value
+    return
+  }
+  Reflect.defineProperty(object, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true
+  })
+}
+
+// Turn a string made by serialize back into state
+// Without a target the state is returned in a new Reactor
+// With a target Reactor its contents are replaced by the state instead
+// - Writes are made through the Reactor inside a single batch
+//   so Observers are only triggered once
+// - Properties missing from the state are deleted
+// Returns the Reactor holding the state
+// -----------------------------------------------------------------------------
+// Examples
+// const restored = hydrate(localStorage.getItem('state'))
+// hydrate(localStorage.getItem('state'), state)  Updates state in place
+const hydrate = (json, target) => {
+  const objects = []
+  const decode = (value) => {
+    if (value === null || typeof value !== 'object') return value
+    if ('$ref' in value) return objects[value.$ref]
+    switch (value.$type) {
+      case 'undefined': return undefined
+      case 'BigInt': return BigInt(value.value)
+      case 'Number': return Number(value.value)
+      case 'Date': {
+        const date = new Date(decode(value.value))
+        objects[value.$id] = date
+        return date
+      }
+      case 'Map': {
+        const map = new Map()
+        objects[value.$id] = map
+        value.value.forEach(([key, item]) => map.set(decode(key), decode(item)))
+        return map
+      }
+      case 'Set': {
+        const set = new Set()
+        objects[value.$id] = set
+        value.value.forEach(item => set.add(decode(item)))
+        return set
+      }
+      case 'Array': {
+        const array = []
+        objects[value.$id] = array
+        value.value.forEach(item => array.push(decode(item)))
+        return array
+      }
+      case 'Object': {
+        const object = {}
+        objects[value.$id] = object
+        // Defined instead of assigned so keys like __proto__ stay data
+        for (const key of Object.keys(value.value)) {
+          Object.defineProperty(object, key, {
+            value: decode(value.value[key]),
+            writable: true,
+            enumerable: true,
+            configurable: true
+          })
+        }
+        return object
+      }
+      default:
+        throw new TypeError('Unknown serialized type ' + String(value.$type))
+    }
+  }
+  const state = decode(JSON.parse(json))
+  if (typeof target === 'undefined') return wrap(state)
+
+  const targetCore = reactorCoreExtractor.get(target)
+  if (!targetCore) throw new TypeError('Cannot hydrate a non-Reactor')
+  const source = targetCore.source
+  if (
+    state === null || typeof state !== 'object' ||
+    Array.isArray(state) !== Array.isArray(source) ||
+    (state instanceof Map) !== (source instanceof Map) ||
+    (state instanceof Set) !== (source instanceof Set)
+  ) {
+    throw new TypeError('Cannot hydrate a Reactor with a different type of state')
+  }
+  batch(() => {
+    if (state instanceof Map) {
+      target.clear()
+      state.forEach((item, key) => target.set(key, item))
+    } else if (state instanceof Set) {
+      target.clear()
+      state.forEach(item => target.add(item))
+    } else {
+      for (const key of Object.keys(source)) {
+        if (!Object.prototype.hasOwnProperty.call(state, key)) delete target[key]
+      }
+      if (Array.isArray(state)) target.length = state.length
+      for (const key of Object.keys(state)) assignState(target, key, state[key])
+    }
+  })
+  return target
+}
+
+// Keep a Reactor in sync with a storage backend
+// Stored state is loaded into the Reactor first
+// After that changes are written back by an Observer
+// - Writes are made a microtask after changes so a burst of changes
+//   only writes once
+// - With debounce they wait until there have been no changes for that long
+// The adapter is the storage backend. Anything with getItem and setItem
+// methods shaped like Web Storage works, and they can return promises
+// See memoryAdapter, webStorageAdapter and fileSystemAdapter
+// Options
+// - key: the name the state is stored under. Required
+// - debounce: milliseconds to wait after the last change before writing
+// - include, exclude: the top level properties to persist or not
+// - version: the current version of the state's shape. Defaults to 1
+// - migrations: object of version numbers to functions which upgrade
+//   stored state from the version before to that version
+// - onError: called with errors writing to the adapter
+//   Otherwise they go to the global error handler if there is one
+//   or reject the next flush, or ready for the first write
+//   Writes are made by an Observer long after the change
+//   so they are never thrown
+// Stored properties replace the Reactor's, and others are left alone
+// so initial values act as defaults
+// Returns a handle with
+// - ready: a promise which resolves once the stored state is loaded
+// - flush(): write any change waiting for its debounce straight away
+//   Resolves once the write is done
+// - clear(): remove the stored state
+// - stop(): stop writing changes
+// -----------------------------------------------------------------------------
+// Examples
+// const settings = new Reactor({ theme: 'light', draft: '' })
+// persist(settings, webStorageAdapter(), {
+//   key: 'settings',
+//   exclude: ['draft'],
+//   version: 2,
+//   migrations: { 2: old => ({ theme: old.darkMode ? 'dark' : 'light' }) }
+// })
+// settings.theme = 'dark'          Saved to localStorage
+const persist = (reactor, adapter, options = {}) => {
+  const core = reactorCoreExtractor.get(reactor)
+  if (!core) throw new TypeError('Cannot persist a non-Reactor')
+  if (
+    !adapter ||
+    typeof adapter.getItem !== 'function' ||
+    typeof adapter.setItem !== 'function'
+  ) {
+    throw new TypeError('Persistence adapters need getItem and setItem methods')
+  }
+  const {
+    key,
+    debounce = 0,
+    include,
+    exclude = [],
+    version = 1,
+    migrations = {},
+    onError
+  } = options
+  if (typeof key !== 'string') throw new TypeError('Persisting needs a string key')
+  const source = core.source
+  // Only plain objects are split into properties
+  // Anything else is persisted whole
+  const isSplit = !(
+    Array.isArray(source) || source instanceof Map || source instanceof Set
+  )
+  const isPersisted = (property) =>
+    (!include || include.includes(property)) && !exclude.includes(property)
+
+  // Report errors from writing without losing them in a promise
+  // Errors nothing handles are kept for the next flush to reject with
+  let failure = null
+  const handleError = (error) => {
+    const handler = onError || errorHandler
+    if (!handler) {
+      failure = error
+      return
+    }
+    try { handler(error) } catch (thrown) { failure = thrown }
+  }
+  const throwFailure = () => {
+    if (failure === null) return
+    const error = failure
+    failure = null
+    throw error
+  }
+  // The last write so flushing can wait for it to finish
+  // Never rejects so nothing waiting on it internally is left unhandled
+  let saving = Promise.resolve()
+  const save = (payload) => {
+    let result
+    try {
+      result = adapter.setItem(key, payload)
+    } catch (error) {
+      result = Promise.reject(error)
+    }
+    saving = Promise.resolve(result).then(() => {}, handleError)
+    return saving
+  }
+
+  // Bring stored state up to date and write it into the Reactor
+  const load = (stored) => {
+    if (stored === null || typeof stored === 'undefined') return
+    const { version: storedVersion = 0, state: encoded } = JSON.parse(stored)
+    if (storedVersion > version) {
+      throw new Error(
+        'Stored state for ' + key + ' is version ' + storedVersion +
+        ' which is newer than version ' + version
+      )
+    }
+    let state = shuck(hydrate(JSON.stringify(encoded)))
+    for (let next = storedVersion + 1; next <= version; next++) {
+      if (typeof migrations[next] === 'function') state = migrations[next](state)
+    }
+    if (!isSplit) {
+      hydrate(serialize(state), reactor)
+      return
+    }
+    batch(() => {
+      for (const property of Object.keys(state)) {
+        if (isPersisted(property)) assignState(reactor, property, state[property])
+      }
+    })
+  }
+
+  // Write the persisted part of the state whenever it changes
+  // Snapshots make the Observer depend on everything nested inside
+  let timer = null
+  let pending = null
+  const write = () => {
+    clearTimeout(timer)
+    timer = null
+    if (pending === null) return saving
+    const payload = pending
+    pending = null
+    return save(payload)
+  }
+  const flush = () => write().then(throwFailure)
+  // Only stopped through the handle
+  // Not along with an Observer persist happens to be called in
+  const writer = unowned(() => new Observer(() => {
+    let state
+    if (isSplit) {
+      state = {}
+      for (const property of Object.keys(reactor)) {
+        if (isPersisted(property)) state[property] = snapshot(reactor[property])
+      }
+    } else {
+      state = snapshot(reactor)
+    }
+    pending = hide(() => JSON.stringify({
+      version,
+      state: JSON.parse(serialize(state))
+    }))
+    if (debounce > 0) {
+      clearTimeout(timer)
+      timer = setTimeout(write, debounce)
+    } else {
+      write()
+    }
+  }, { scheduler: 'microtask' }))
+
+  let stopped = false
+  const start = () => { if (!stopped) writer() }
+  const stored = adapter.getItem(key)
+  let ready
+  if (isThenable(stored)) {
+    ready = Promise.resolve(stored).then(load).then(start)
+      .then(() => saving).then(throwFailure)
+  } else {
+    load(stored)
+    start()
+    ready = saving.then(throwFailure)
+  }
+
+  return {
+    ready,
+    flush,
+    clear () {
+      pending = null
+      clearTimeout(timer)
+      if (typeof adapter.removeItem === 'function') {
+        return Promise.resolve(adapter.removeItem(key))
+      }
+      return save(null).then(throwFailure)
+    },
+    stop () {
+      stopped = true
+      writer.stop()
+      return flush()
+    }
+  }
+}
+
+// Storage adapter keeping state in memory
+// Useful for tests and for state which only needs to outlive a component
+// Can be given a Map to store in
+const memoryAdapter = (store = new Map()) => ({
+  getItem: (key) => store.has(key) ? store.get(key) : null,
+  setItem: (key, value) => { store.set(key, value) },
+  removeItem: (key) => { store.delete(key) }
+})
+
+// Storage adapter for localStorage, sessionStorage or anything like them
+// Defaults to localStorage
+const webStorageAdapter = (storage = globalThis.localStorage) => {
+  if (!storage) throw new TypeError('Web Storage is not available')
+  return {
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key)
+  }
+}
+
+// Storage adapter keeping each key in a JSON file in a directory
+// Node's fs module is passed in so browser builds don't try to bundle it
+// e.g. fileSystemAdapter(await import('node:fs'), './data')
+const fileSystemAdapter = (fs, directory = '.') => {
+  const files = fs && (fs.promises || fs)
+  if (!files || typeof files.readFile !== 'function') {
+    throw new TypeError('fileSystemAdapter needs the fs module')
+  }
+  const pathOf = (key) => directory + '/' + encodeURIComponent(key) + '.json'
+  return {
+    getItem: (key) => files.readFile(pathOf(key), 'utf8').catch(error => {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }),
+    setItem: (key, value) => files.mkdir(directory, { recursive: true })
+      .then(() => files.writeFile(pathOf(key), value)),
+    removeItem: (key) => files.rm(pathOf(key), { force: true })
+  }
+}
+
+// Every model made by model
+// Used to tell nested models apart from other types
+const models = new WeakSet()
+
+// Describe a schema field's type for error messages
+const typeName = (type) => {
+  if (typeof type === 'string') return type
+  if (models.has(type)) return 'model'
+  return type.name || 'the given type'
+}
+
+// Checks for each type name schema fields can have
+const typeChecks = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number',
+  boolean: (value) => typeof value === 'boolean',
+  bigint: (value) => typeof value === 'bigint',
+  function: (value) => typeof value === 'function',
+  array: (value) => Array.isArray(value),
+  date: (value) => value instanceof Date,
+  object: (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Whether a value fits a schema field's type
+// Types can be names like "string" or "array", constructors or models
+const isOfType = (type, value) => {
+  if (typeof type === 'undefined') return true
+  if (models.has(type)) return type.isInstance(value)
+  if (typeof type === 'function') return value instanceof type
+  return typeChecks[type](value)
+}
+
+// Find what is wrong with a value for a schema field
+// Returns the problem as a message or null if the value is valid
+// Custom validators return false or a message if the value is invalid
+const checkField = (field, value, instance) => {
+  if (value === null || typeof value === 'undefined') {
+    return field.required ? 'is required' : null
+  }
+  if (!isOfType(field.type, value)) {
+    return 'must be of type ' + typeName(field.type)
+  }
+  if (typeof field.validate === 'function') {
+    const result = hide(() => field.validate(value, instance))
+    if (result === false) return 'is invalid'
+    if (typeof result === 'string') return result
+  }
+  return null
+}
+
+// Create Reactors which enforce a shape
+// The schema maps each property to a field which can have
+// - type: "string", "number", "boolean", "object", "array", "date",
+//   a constructor to check with instanceof, or another model
+// - required: if the property can't be null or undefined
+// - default: the initial value, or a function giving the initial value
+// - validate: a function given the value and instance which returns
+//   false or a message if the value is invalid
+// - computed: a function given the instance which calculates the property
+//   Computed properties are cached, can't be written to and aren't enumerable
+// A field can also just be a type
+// Returns a function which creates instances from initial data
+// - Invalid data throws a ValidationError
+// - Invalid writes to instances throw a ValidationError before anything
+//   is changed, so nothing is triggered
+// - Objects written to nested model properties are turned into instances
+// - Properties not in the schema are rejected
+// Each instance has an observable Map of property names to the problems
+// with the last write to them, given by errors(instance)
+// -----------------------------------------------------------------------------
+// Examples
+// const Address = model({ city: { type: 'string', required: true } })
+// const User = model({
+//   first: { type: 'string', default: '' },
+//   last: { type: 'string', default: '' },
+//   age: { type: 'number', validate: age => age >= 0 || 'must not be negative' },
+//   address: Address,
+//   fullName: { computed: user => user.first + ' ' + user.last }
+// })
+// const user = User({ first: 'Ann', address: { city: 'Paris' } })
+// user.age = -1                    Throws a ValidationError
+// User.errors(user).get('age')     "must not be negative"
+const model = (schema) => {
+  if (schema === null || typeof schema !== 'object') {
+    throw new TypeError('Cannot make a model without a schema object')
+  }
+  const fields = {}
+  for (const property of Object.keys(schema)) {
+    const field = schema[property]
+    fields[property] = field !== null && typeof field === 'object'
+      ? field
+      : { type: field }
+    const { type } = fields[property]
+    if (typeof type === 'string' && !Object.prototype.hasOwnProperty.call(typeChecks, type)) {
+      throw new TypeError('Unknown type ' + type + ' for ' + property)
+    }
+  }
+  const instances = new WeakSet()
+  const errorMaps = new WeakMap()
+
+  // Turn plain objects for nested model properties into instances
+  // Problems inside them are reported with their full path
+  const convert = (property, value) => {
+    const { type } = fields[property]
+    if (
+      !models.has(type) ||
+      value === null || typeof value !== 'object' ||
+      type.isInstance(value)
+    ) return value
+    try {
+      return type(shuck(value))
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error
+      throw new ValidationError(Object.fromEntries(Object.entries(error.errors)
+        .map(([path, message]) => [property + '.' + path, message])
+      ))
+    }
+  }
+
+  const create = (data = {}) => {
+    data = shuck(data)
+    const source = {}
+    const problems = {}
+    for (const property of Object.keys(data)) {
+      if (!Object.prototype.hasOwnProperty.call(fields, property)) {
+        problems[property] = 'is not in the schema'
+      }
+    }
+    for (const property of Object.keys(fields)) {
+      const field = fields[property]
+      if (typeof field.computed === 'function') continue
+      let value
+      if (Object.prototype.hasOwnProperty.call(data, property)) {
+        value = data[property]
+      } else if (typeof field.default === 'function') {
+        value = field.default()
+      } else {
+        value = field.default
+      }
+      try {
+        value = convert(property, value)
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error
+        Object.assign(problems, error.errors)
+        continue
+      }
+      const problem = checkField(field, value, source)
+      if (problem) problems[property] = problem
+      if (typeof value !== 'undefined') source[property] = value
+    }
+    if (Object.keys(problems).length > 0) throw new ValidationError(problems)
+
+    const instance = new Reactor(source)
+    const core = reactorCoreExtractor.get(instance)
+    const errors = new Reactor(new Map())
+
+    // Reject a write and remember why
+    const reject = (property, problem) => {
+      errors.set(property, problem)
+      throw new ValidationError({ [property]: problem })
+    }
+
+    // Assigning to a computed property calls its setter
+    // instead of defining it so the setter rejects it too
+    // Not enumerable so snapshots and serialized state leave them out
+    // and the state can be loaded back into an instance
+    for (const property of Object.keys(fields)) {
+      const field = fields[property]
+      if (typeof field.computed !== 'function') continue
+      const value = computed(() => field.computed(instance))
+      Object.defineProperty(source, property, {
+        get: () => value(),
+        set: () => reject(property, 'is computed'),
+        enumerable: false,
+        configurable: false
+      })
+    }
+    core.validator = {
+      define (property, descriptor) {
+        if (typeof property === 'symbol') return descriptor
+        if (!Object.prototype.hasOwnProperty.call(fields, property)) {
+          reject(property, 'is not in the schema')
+        }
+        const field = fields[property]
+        if (typeof field.computed === 'function') reject(property, 'is computed')
+        if ('get' in descriptor || 'set' in descriptor) {
+          reject(property, 'can not be an accessor')
+        }
+        if (!('value' in descriptor)) return descriptor
+        let value
+        try {
+          value = convert(property, descriptor.value)
+        } catch (error) {
+          if (error instanceof ValidationError) {
+            errors.set(property, Object.values(error.errors)[0])
+          }
+          throw error
+        }
+        const problem = checkField(field, value, instance)
+        if (problem) reject(property, problem)
+        errors.delete(property)
+        return { ...descriptor, value }
+      },
+      delete (property) {
+        if (!Object.prototype.hasOwnProperty.call(fields, property)) return
+        const field = fields[property]
+        if (typeof field.computed === 'function') reject(property, 'is computed')
+        if (field.required) reject(property, 'is required')
+        errors.delete(property)
+      }
+    }
+    instances.add(instance)
+    errorMaps.set(instance, errors)
+    return instance
+  }
+
+  create.schema = schema
+  // Check if something was created by this model
+  create.isInstance = (value) => instances.has(value)
+  // The observable Map of problems with the last writes to an instance
+  create.errors = (instance) => {
+    if (!errorMaps.has(instance)) {
+      throw new TypeError('Cannot get errors of something which is not an instance')
+    }
+    return errorMaps.get(instance)
+  }
+  models.add(create)
+  return create
+}
+
+// Ids of the nodes in the dependency graph
+// Kept so devtools can match nodes across separate calls
+// Reactor property Signals are recreated as dependencies are rebuilt
+// so they get their ids by their debug key instead
+// Object keys are held weakly so ids don't keep them alive
+// Keys of weak collections are only referenced through a WeakRef
+let nextDebugId = 1
+const debugIds = new WeakMap()
+const debugKeyIds = new WeakMap()
+const debugId = (core) => {
+  const [signals, keyOrRef] = core.debugKey || []
+  const isWeak = signals instanceof WeakMap
+  const key = isWeak ? keyOrRef.deref() : keyOrRef
+  // Signals whose weak key is already gone just keep their own id
+  if (!core.debugKey || (isWeak && typeof key === 'undefined')) {
+    if (!debugIds.has(core)) debugIds.set(core, nextDebugId++)
+    return debugIds.get(core)
+  }
+  if (!debugKeyIds.has(signals)) {
+    debugKeyIds.set(signals, { weak: new WeakMap(), strong: new Map() })
+  }
+  const { weak, strong } = debugKeyIds.get(signals)
+  const ids = isWeak || (key !== null && typeof key === 'object') || typeof key === 'function'
+    ? weak
+    : strong
+  if (!ids.has(key)) ids.set(key, nextDebugId++)
+  return ids.get(key)
+}
+
+// Observers and Computed values depend on Signals while Signals don't
+const isDependentCore = (core) => 'dependencies' in core
+
+// Signals holding the value, status or error of an Observer or Computed
+// are shown as part of their owner instead of as separate nodes
+const debugNodeCore = (core) => core.owner || core
+
+// The Signals an Observer or Computed keeps its own state in
+const ownedSignals = (dependentCore) =>
+  [dependentCore.value, dependentCore.status, dependentCore.error]
+    .filter(signal => Signals.has(signal))
+    .map(signal => signalCoreExtractor.get(signal))
+
+// Describe a core as a node of the dependency graph
+// - id: number identifying the node
+// - kind: "signal", "observer" or "computed"
+// - name: the property path or name given to it
+const debugNode = (core) => {
+  const id = debugId(core)
+  if (!isDependentCore(core)) {
+    return { id, kind: 'signal', name: core.label || 'anonymous' }
+  }
+  return {
+    id,
+    kind: typeof core.markDirty === 'function' ? 'computed' : 'observer',
+    name: core.name || core.execute.name || 'anonymous'
+  }
+}
+
+// Find the graph nodes behind something reactive
+// Reactors give the Signals of the property or of every property
+// which something currently depends on
+const debugRoots = (target, property) => {
+  if (dependentCoreExtractor.has(target)) return [dependentCoreExtractor.get(target)]
+  if (Signals.has(target)) return [debugNodeCore(signalCoreExtractor.get(target))]
+  const reactorCore = reactorCoreExtractor.get(target) || readonlyCoreExtractor.get(target)
+  if (reactorCore) {
+    return reactorCore.signals(...property)
+      .map(signal => signalCoreExtractor.get(signal))
+      .filter(signalCore => signalCore.dependents.size > 0)
+  }
+  throw new TypeError('Cannot inspect something which is not reactive')
+}
+
+// The dependents directly downstream of a node
+const downstream = (core) => {
+  const signalCores = isDependentCore(core)
+    ? ownedSignals(core)
+    : [core]
+  return signalCores.flatMap(signalCore => Array.from(signalCore.dependents))
+}
+
+// The nodes directly upstream of a node
+// Signals have nothing upstream of them
+const upstream = (core) => {
+  if (!isDependentCore(core)) return []
+  const cores = []
+  core.dependencies.forEach(signalCore => cores.push(debugNodeCore(signalCore)))
+  return cores
+}
+
+// Describe a list of cores as nodes, dropping duplicates
+const debugNodes = (cores) => Array.from(new Set(cores)).map(debugNode)
+
+// Tools for inspecting the dependency graph while debugging
+// Nodes are described as plain objects of their id, kind and name
+// Observers and Computed values include the Signals they hold their value in
+// - getDependencies: what an Observer or Computed currently reads
+// - getDependents: what currently reads a Signal, Observer, Computed
+//   or Reactor property, or any property of a Reactor if none is given
+// - getGraph: every node and edge connected to the given roots
+//   Edges go from a dependency to the dependent reading it
+// - toDot: a graph in the DOT format of Graphviz
+// - setName: name a Signal, Reactor, Observer or Computed for debug output
+//   The same as giving the name option when creating it
+// -----------------------------------------------------------------------------
+// Examples
+// const todos = new Reactor([], { name: 'todos' })
+// const count = computed(() => todos.length, { name: 'count' })
+// new Observer(() => console.log(count()), { name: 'log' })()
+// debug.getDependents(todos, 'length')     [{ id: 1, kind: 'computed', name: 'count' }]
+// debug.toDot(debug.getGraph(todos))      "todos.length" -> "count" -> "log"
+const debug = {
+  getDependencies (dependent) {
+    if (!dependentCoreExtractor.has(dependent)) {
+      throw new TypeError('Cannot get dependencies of something which is not an Observer or Computed')
+    }
+    return debugNodes(upstream(dependentCoreExtractor.get(dependent)))
+  },
+
+  getDependents (target, ...property) {
+    return debugNodes(debugRoots(target, property).flatMap(downstream))
+  },
+
+  getGraph (...roots) {
+    const visited = new Set()
+    const edges = new Map()
+    const queue = roots.flatMap(root => debugRoots(root, []))
+    while (queue.length > 0) {
+      const core = queue.shift()
+      if (visited.has(core)) continue
+      visited.add(core)
+      upstream(core).forEach(dependency => {
+        edges.set(dependency, (edges.get(dependency) || new Set()).add(core))
+        queue.push(dependency)
+      })
+      downstream(core).forEach(dependent => {
+        edges.set(core, (edges.get(core) || new Set()).add(dependent))
+        queue.push(dependent)
+      })
+    }
+    return {
+      nodes: debugNodes(Array.from(visited)),
+      edges: Array.from(edges).flatMap(([from, dependents]) =>
+        Array.from(dependents).map(to => ({
+          from: debugNode(from).id,
+          to: debugNode(to).id
+        }))
+      )
+    }
+  },
+
+  toDot (graph) {
+    const quote = (text) => JSON.stringify(String(text))
+    return [
+      'digraph {',
+      ...graph.nodes.map(node =>
+        '  ' + node.id + ' [label=' + quote(node.name) + ' shape=' +
+        (node.kind === 'signal' ? 'ellipse' : 'box') + ']'
+      ),
+      ...graph.edges.map(edge => '  ' + edge.from + ' -> ' + edge.to),
+      '}'
+    ].join('\n')
+  },
+
+  setName (target, name) {
+    if (dependentCoreExtractor.has(target)) {
+      dependentCoreExtractor.get(target).name = String(name)
+    } else if (Signals.has(target)) {
+      signalCoreExtractor.get(target).label = String(name)
+    } else if (reactorCoreExtractor.has(target)) {
+      reactorCoreExtractor.get(target).configure({ name })
+    } else {
+      throw new TypeError('Cannot name something which is not reactive')
+    }
+    return target
+  }
+}
+
+// Check if something is a Signal
+// Signals are callable so typeof alone can't tell them apart from functions
+const isSignal = (value) => Signals.has(value)
+
+// Configure how long a chain of Observers triggering each other can get
+// before it is treated as a loop and a LoopError is thrown
+const setMaxPropagationDepth = (depth) => {
+  if (!Number.isInteger(depth) || depth < 1) {
+    throw new RangeError('Max propagation depth must be a positive integer')
+  }
+  maxPropagationDepth = depth
+}
+
+// Set a function to handle errors thrown by Observers
+// It is called with each error and the Observer which threw it
+// instead of the error being thrown at the write which triggered it
+// Observers given an onError option use that instead
+// Set to null to go back to throwing errors
+// -----------------------------------------------------------------------------
+// Examples
+// setErrorHandler((error, observer) => reportToServer(error))
+// reactor.foo = 1                  No longer throws if an Observer fails
+const setErrorHandler = (handler) => {
+  if (handler !== null && typeof handler !== 'function') {
+    throw new TypeError('Error handler can only be set to a function or null')
+  }
+  errorHandler = handler
+}
+
+// Turn tracing of why Observers run on or off
+// While on each Observer run records what caused it as observer.lastTrigger
+// Given a function it is also called with each of these traces
+// Off by default since it adds work to every write
+// -----------------------------------------------------------------------------
+// Examples
+// setTracing(trace => {
+//   if (trace.source) console.log(trace.observer + ' ran after ' + trace.source.name)
+// })
+// setTracing(false)                Stops tracing
+const setTracing = (option) => {
+  if (typeof option !== 'boolean' && typeof option !== 'function') {
+    throw new TypeError('Tracing can only be set to a boolean or a function')
+  }
+  tracing = option !== false
+  traceListener = typeof option === 'function' ? option : null
+}
+
+// Count a run of an Observer or Computed value and how long it took
+const profileRun = (core, time) => {
+  if (!observerStats.has(core)) {
+    observerStats.set(core, { runs: 0, totalTime: 0, lastTime: 0 })
+  }
+  const stats = observerStats.get(core)
+  stats.runs += 1
+  stats.totalTime += time
+  stats.lastTime = time
+}
+
+// Count a read or write of a Reactor property
+// The name is kept up to date since paths are only known once read
+const profileAccess = (reactorCore, property, name, type) => {
+  if (!propertyStats.has(reactorCore)) propertyStats.set(reactorCore, new Map())
+  const properties = propertyStats.get(reactorCore)
+  if (!properties.has(property)) properties.set(property, { reads: 0, writes: 0 })
+  const stats = properties.get(property)
+  stats.name = name
+  stats[type] += 1
+}
+
+// Turn counting how Observers and Reactor properties are used on or off
+// Off by default since it adds work to every run, read and write
+const setProfiling = (enabled) => {
+  if (typeof enabled !== 'boolean') {
+    throw new TypeError('Profiling can only be set to a boolean')
+  }
+  profiling = enabled
+}
+
+// Forget everything counted so far
+// Useful between rounds of a benchmark
+const resetProfile = () => {
+  observerStats.clear()
+  propertyStats.clear()
+}
+
+// Report of everything counted since the last reset, most costly first
+// - observers: the runs, total and last time in milliseconds
+//   and current number of dependencies of each Observer and Computed
+//   sorted by total time
+// - properties: the reads and writes of each Reactor property
+//   sorted by reads and writes together
+const getProfile = () => {
+  const observers = Array.from(observerStats, ([core, stats]) => {
+    let dependencies = 0
+    core.dependencies.forEach(() => { dependencies += 1 })
+    return { name: core.describe(), ...stats, dependencies }
+  })
+  const properties = Array.from(propertyStats.values()).flatMap(properties =>
+    Array.from(properties.values(), ({ name, reads, writes }) => ({ name, reads, writes }))
+  )
+  return {
+    observers: observers.sort((a, b) => b.totalTime - a.totalTime),
+    properties: properties.sort((a, b) => (b.reads + b.writes) - (a.reads + a.writes))
+  }
+}
+
+// Profile a block of code
+// Counts from a fresh start while it runs and returns the report
+// For async blocks a Promise of the report is returned once they settle
+// -----------------------------------------------------------------------------
+// Examples
+// const report = profile(() => {
+//   for (let i = 0; i < 100; i++) todos.items.push(i)
+// })
+// report.observers[0]              The Observer which took the longest
+const profile = (execute) => {
+  const wasProfiling = profiling
+  resetProfile()
+  profiling = true
+  const finish = () => {
+    profiling = wasProfiling
+    return getProfile()
+  }
+  let result
+  try {
+    result = execute()
+  } catch (error) {
+    profiling = wasProfiling
+    throw error
+  }
+  if (!isThenable(result)) return finish()
+  return Promise.resolve(result).then(finish, error => {
+    profiling = wasProfiling
+    throw error
+  })
+}
+
+// Mark an object so it is never wrapped in a Reactor
+// Reading it from a Reactor gives the object itself
+// Useful for large payloads, class instances or DOM nodes which don't need
+// tracking or need to keep their identity for other libraries
+// Changes to it are not tracked
+// Snapshots keep it as it is instead of copying it
+// Returns the object
+// -----------------------------------------------------------------------------
+// Examples
+// const reactor = new Reactor({ node: markRaw(document.body) })
+// reactor.node === document.body   true
+const markRaw = (object) => {
+  if (object === null || (typeof object !== 'object' && typeof object !== 'function')) {
+    throw new TypeError('Cannot mark a non-object as raw')
+  }
+  if (Reactors.has(object)) throw new TypeError('Cannot mark a Reactor as raw')
+  rawObjects.add(object)
+  return object
+}
+
 // Method for extracting a the internal object from the Reactor
 const shuck = (reactor) => {
   const core = reactorCoreExtractor.get(reactor)
@@ -692,10 +3851,69 @@ class CompoundError extends Error {
   }
 }
 
+// Custom Error for Observers which end up triggering themselves
+// Either directly by writing to their own dependencies
+// or indirectly through a chain of other Observers
+class LoopError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = this.constructor.name
+    return this
+  }
+}
+
+// Custom Error for values which don't fit a model's schema
+// errors maps the path of each invalid property to what is wrong with it
+class ValidationError extends Error {
+  constructor (errors) {
+    super('Validation failed: ' + Object.entries(errors)
+      .map(([path, message]) => path + ' ' + message)
+      .join(', ')
+    )
+    this.name = this.constructor.name
+    this.errors = errors
+    return this
+  }
+}
+
 export {
+  Signal,
+  isSignal,
   Reactor,
+  configure,
   Observer,
+  Computed,
+  computed,
+  trackedContext,
+  onCleanup,
+  createRoot,
+  watch,
+  observeChanges,
+  history,
   hide,
   batch,
-  shuck
+  transaction,
+  snapshot,
+  serialize,
+  hydrate,
+  persist,
+  memoryAdapter,
+  webStorageAdapter,
+  fileSystemAdapter,
+  readonly,
+  isReadonly,
+  markRaw,
+  model,
+  debug,
+  shuck,
+  setMaxPropagationDepth,
+  setErrorHandler,
+  setTracing,
+  setProfiling,
+  getProfile,
+  resetProfile,
+  profile,
+  CompoundError,
+  LoopError,
+  ValidationError
 }
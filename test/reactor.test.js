@@ -1,13 +1,56 @@
 /* eslint-env mocha */
 import assert from 'assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import v8 from 'v8'
+import vm from 'vm'
 import {
+  Signal,
+  isSignal,
   Reactor,
+  configure,
   Observer,
+  Computed,
+  computed,
+  trackedContext,
+  onCleanup,
+  createRoot,
+  watch,
+  observeChanges,
+  history,
   hide,
   batch,
-  shuck
+  transaction,
+  snapshot,
+  serialize,
+  hydrate,
+  persist,
+  memoryAdapter,
+  webStorageAdapter,
+  fileSystemAdapter,
+  readonly,
+  isReadonly,
+  markRaw,
+  model,
+  debug,
+  shuck,
+  setMaxPropagationDepth,
+  setErrorHandler,
+  setTracing,
+  setProfiling,
+  getProfile,
+  resetProfile,
+  profile,
+  CompoundError,
+  LoopError,
+  ValidationError
 } from '../src/reactor.js'
 
+// Let tests check that nothing is kept alive by forcing garbage collection
+v8.setFlagsFromString('--expose-gc')
+const collectGarbage = vm.runInNewContext('gc')
+
 describe('Reactor', () => {
   it('initializes without error', () => new Reactor())
 
@@ -183,569 +226,3475 @@ describe('Reactor', () => {
   })
 })
 
-describe('Observer', () => {
-  it('passes instanceof checks', () => {
-    const a = new Observer(() => {})
-    assert(a instanceof Observer)
-    assert(a instanceof Function)
+describe('Collections', () => {
+  it('reads and writes a Map Reactor without error', () => {
+    const map = new Reactor(new Map([['foo', 'bar']]))
+    assert.equal(map.get('foo'), 'bar')
+    assert.equal(map.set('moo', 'mux'), map)
+    assert.equal(map.has('moo'), true)
+    assert.equal(map.size, 2)
+    assert.equal(map.delete('moo'), true)
+    assert.equal(map.delete('moo'), false)
+    assert.equal(JSON.stringify(Array.from(map)), '[["foo","bar"]]')
+    map.clear()
+    assert.equal(map.size, 0)
   })
 
-  it('can be used as a constructor', () => {
-    const A = new Observer(function (arg) {
-      this.foo = 'bar' + arg
-      return this
-    })
-    const a = new A('baz')
-    assert.equal(JSON.stringify(a), '{"foo":"barbaz"}')
+  it('reads and writes a Set Reactor without error', () => {
+    const set = new Reactor(new Set(['foo']))
+    assert.equal(set.has('foo'), true)
+    assert.equal(set.add('bar'), set)
+    assert.equal(set.size, 2)
+    assert.equal(JSON.stringify(Array.from(set)), '["foo","bar"]')
+    assert.equal(set.delete('foo'), true)
+    assert.equal(JSON.stringify(Array.from(set.values())), '["bar"]')
   })
 
-  it('initializes function without error', () => new Observer(() => {}))
+  it('triggers only on the Map key read', () => {
+    let counter = 0
+    let tracker
+    const map = new Reactor(new Map([['foo', 'bar']]))
+    new Observer(() => {
+      counter += 1
+      tracker = map.get('foo')
+    })()
+    assert.equal(counter, 1)
+    assert.equal(tracker, 'bar')
+    map.set('moo', 'mux')
+    assert.equal(counter, 1)
+    map.set('foo', 'bar')
+    assert.equal(counter, 1)
+    map.set('foo', 'baz')
+    assert.equal(counter, 2)
+    assert.equal(tracker, 'baz')
+    map.delete('foo')
+    assert.equal(counter, 3)
+    assert(typeof tracker === 'undefined')
+  })
 
-  it('passed correct value of this to observer', () => {
-    let aResult
-    const a = new Observer(function () { aResult = this })
-    let barResult
-    const foo = {
-      a,
-      bar: function () { barResult = this }
-    }
-    foo.a()
-    foo.bar()
-    assert.equal(foo, aResult)
-    assert.equal(foo, barResult)
-    assert.equal(aResult, barResult)
+  it('triggers on Map and Set has checks', () => {
+    let mapTracker
+    let setTracker
+    const map = new Reactor(new Map())
+    const set = new Reactor(new Set())
+    new Observer(() => (mapTracker = map.has('foo')))()
+    new Observer(() => (setTracker = set.has('foo')))()
+    assert.equal(mapTracker, false)
+    assert.equal(setTracker, false)
+    map.set('foo', 'bar')
+    set.add('foo')
+    assert.equal(mapTracker, true)
+    assert.equal(setTracker, true)
+    map.clear()
+    set.clear()
+    assert.equal(mapTracker, false)
+    assert.equal(setTracker, false)
   })
 
-  it('fails to initialize with no argument', () => {
-    assert.throws(() => new Observer(), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
+  it('triggers size dependents only when keys change', () => {
+    let counter = 0
+    let tracker
+    const map = new Reactor(new Map([['foo', 'bar']]))
+    new Observer(() => {
+      counter += 1
+      tracker = map.size
+    })()
+    map.set('foo', 'baz')
+    assert.equal(counter, 1)
+    map.set('moo', 'mux')
+    assert.equal(counter, 2)
+    assert.equal(tracker, 2)
   })
 
-  it('fails to initialize with non-function', () => {
-    assert.throws(() => new Observer(true), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer(false), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer(null), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer(undefined), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer(1), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer(0), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer('a'), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer(''), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer(Symbol('dummyTest')), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer({}), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
-    assert.throws(() => new Observer([]), {
-      name: 'TypeError',
-      message: 'Cannot create observer with a non-function'
-    })
+  it('triggers iteration dependents on any change', () => {
+    let counter = 0
+    let tracker
+    const map = new Reactor(new Map([['foo', 'bar']]))
+    new Observer(() => {
+      counter += 1
+      tracker = Array.from(map.values())
+    })()
+    map.set('foo', 'bar')
+    assert.equal(counter, 1)
+    map.set('foo', 'baz')
+    assert.equal(counter, 2)
+    assert.equal(JSON.stringify(tracker), '["baz"]')
+    map.set('moo', 'mux')
+    assert.equal(counter, 3)
+    assert.equal(JSON.stringify(tracker), '["baz","mux"]')
+    map.delete('nothing')
+    assert.equal(counter, 3)
   })
 
-  it('exposes the raw function as execute', () => {
-    const dummyFunction = function () {
-      return 'foo'
-    }
-    const observer = new Observer(dummyFunction)
-    assert.equal(observer.execute, dummyFunction)
+  it('triggers on forEach and for...of over a Set', () => {
+    let forEachTracker
+    let forOfTracker
+    const set = new Reactor(new Set(['foo']))
+    new Observer(() => {
+      forEachTracker = []
+      set.forEach((value, key, collection) => {
+        assert.equal(collection, set)
+        forEachTracker.push(value)
+      })
+    })()
+    new Observer(() => {
+      forOfTracker = []
+      for (const value of set) forOfTracker.push(value)
+    })()
+    set.add('bar')
+    assert.equal(JSON.stringify(forEachTracker), '["foo","bar"]')
+    assert.equal(JSON.stringify(forOfTracker), '["foo","bar"]')
   })
 
-  it('exposes the last derived value', () => {
-    const rx = new Reactor({
-      foo: 'foo'
-    })
+  it('wraps Map values in Reactors', () => {
+    let tracker
+    const inner = { foo: 'bar' }
+    const map = new Reactor(new Map([['inner', inner]]))
+    assert.equal(map.get('inner'), new Reactor(inner))
+    new Observer(() => (tracker = map.get('inner').foo))()
+    map.get('inner').foo = 'baz'
+    assert.equal(tracker, 'baz')
+    const [[, value]] = Array.from(map.entries())
+    assert.equal(value, new Reactor(inner))
+  })
+
+  it('does not wrap Set values or Map keys', () => {
+    const key = {}
+    const set = new Reactor(new Set([key]))
+    const map = new Reactor(new Map([[key, 'foo']]))
+    const [setValue] = Array.from(set)
+    const [mapKey] = Array.from(map.keys())
+    assert.equal(setValue, key)
+    assert.equal(mapKey, key)
+    assert.equal(set.has(setValue), true)
+    assert.equal(map.get(mapKey), 'foo')
+  })
+
+  it('tracks WeakMap and WeakSet keys', () => {
+    let mapTracker
+    let setTracker
+    const key = {}
+    const weakMap = new Reactor(new WeakMap())
+    const weakSet = new Reactor(new WeakSet())
+    new Observer(() => (mapTracker = weakMap.get(key)))()
+    new Observer(() => (setTracker = weakSet.has(key)))()
+    weakMap.set(key, 'foo')
+    weakSet.add(key)
+    assert.equal(mapTracker, 'foo')
+    assert.equal(setTracker, true)
+    weakMap.delete(key)
+    weakSet.delete(key)
+    assert(typeof mapTracker === 'undefined')
+    assert.equal(setTracker, false)
+    assert(typeof weakMap.size === 'undefined')
+  })
+
+  it('reads primitive keys of WeakMap and WeakSet like the native methods', () => {
+    const weakMap = new Reactor(new WeakMap())
+    const weakSet = new Reactor(new WeakSet())
+    let tracker
     const observer = new Observer(() => {
-      return rx.foo
+      tracker = [weakMap.get('x'), weakMap.has('x'), weakSet.has(1), weakSet.has(null)]
     })
-    assert(typeof observer.value === 'undefined')
     observer()
-    assert.equal(observer.value, 'foo')
-    rx.foo = 'bar'
-    assert.equal(observer.value, 'bar')
+    assert.deepEqual(tracker, [undefined, false, false, false])
   })
 
-  it('returns the function return value', () => {
-    const observer = new Observer(() => 'foo')
-    assert.equal(observer(), 'foo')
+  it('does not keep WeakMap and WeakSet keys alive', async () => {
+    const weakMap = new Reactor(new WeakMap())
+    const weakSet = new Reactor(new WeakSet())
+    let key = {}
+    weakMap.set(key, 'foo')
+    weakSet.add(key)
+    const observer = new Observer(() => weakMap.get(key) && weakSet.has(key))
+    observer()
+    // Ids for the key's Signals shouldn't hold on to it either
+    debug.getGraph(observer)
+    const keyRef = new WeakRef(key)
+    key = null
+    // WeakRefs keep their target for the rest of the current job
+    await new Promise(resolve => setTimeout(resolve, 0))
+    collectGarbage()
+    assert.equal(observer.value, true)
+    assert(typeof keyRef.deref() === 'undefined')
   })
+})
 
-  it('can observe an observer', () => {
-    let outcome
-    const rx = new Reactor({
-      foo: 'foo'
+describe('Signal', () => {
+  it('initializes without error', () => new Signal())
+
+  it('initializes with a value without error', () => new Signal('foo'))
+
+  it('reads without error', () => {
+    const signal = new Signal('foo')
+    assert.equal(signal(), 'foo')
+  })
+
+  it('defaults to undefined', () => {
+    const signal = new Signal()
+    assert(typeof signal() === 'undefined')
+  })
+
+  it('writes without error', () => {
+    const signal = new Signal('foo')
+    assert.equal(signal('bar'), 'bar')
+    assert.equal(signal(), 'bar')
+  })
+
+  it('can write undefined', () => {
+    const signal = new Signal('foo')
+    signal(undefined)
+    assert(typeof signal() === 'undefined')
+  })
+
+  it('wraps object values in a Reactor', () => {
+    const source = { foo: 'bar' }
+    const signal = new Signal(source)
+    assert.notEqual(signal(), source)
+    assert.equal(shuck(signal()), source)
+    assert.equal(signal(), new Reactor(source))
+  })
+
+  it('passes instanceof checks', () => {
+    const signal = new Signal()
+    assert(signal instanceof Signal)
+    assert(signal instanceof Function)
+  })
+
+  it('can be identified with isSignal', () => {
+    assert(isSignal(new Signal()))
+    assert(isSignal(new Signal({})))
+    assert(!isSignal(() => {}))
+    assert(!isSignal(new Observer(() => {})))
+    assert(!isSignal(new Reactor()))
+    assert(!isSignal({}))
+    assert(!isSignal(null))
+    assert(!isSignal(undefined))
+  })
+
+  it('can peek without error', () => {
+    const signal = new Signal('foo')
+    assert.equal(signal.peek(), 'foo')
+    signal('bar')
+    assert.equal(signal.peek(), 'bar')
+  })
+
+  it('can update without error', () => {
+    const signal = new Signal(1)
+    assert.equal(signal.update(value => value + 1), 2)
+    assert.equal(signal(), 2)
+  })
+
+  it('fails to update with a non-function', () => {
+    const signal = new Signal(1)
+    assert.throws(() => signal.update(2), {
+      name: 'TypeError',
+      message: 'Cannot update signal with a non-function'
     })
-    const a = new Observer(() => rx.foo + 'bar')
-    a()
-    const b = new Observer(() => (outcome = a.value + 'baz'))
-    b()
-    assert.equal(outcome, 'foobarbaz')
-    rx.foo = 'qux'
-    assert.equal(outcome, 'quxbarbaz')
   })
 
   describe('Triggering', () => {
-    it('triggers once on initialization', () => {
+    it('triggers once on write', () => {
       let counter = 0
-      new Observer(() => { counter += 1 })()
+      let tracker
+      const signal = new Signal('foo')
+      new Observer(() => {
+        counter += 1
+        tracker = signal()
+      })()
       assert.equal(counter, 1)
+      assert.equal(tracker, 'foo')
+      signal('bar')
+      assert.equal(counter, 2)
+      assert.equal(tracker, 'bar')
     })
 
-    it('triggers once on Reactor dependency write', () => {
+    it('triggers on nested Reactor write', () => {
       let counter = 0
       let tracker
-      const reactor = new Reactor({
-        foo: 'bar'
-      })
+      const signal = new Signal({ foo: 'bar' })
       new Observer(() => {
         counter += 1
-        tracker = reactor.foo
+        tracker = signal().foo
       })()
       assert.equal(counter, 1)
       assert.equal(tracker, 'bar')
-      reactor.foo = 'mux'
+      signal().foo = 'baz'
       assert.equal(counter, 2)
-      assert.equal(tracker, 'mux')
+      assert.equal(tracker, 'baz')
     })
 
-    it('triggers once on nested Reactor dependency write', () => {
+    it('triggers on update', () => {
       let counter = 0
       let tracker
-      const reactor = new Reactor({
-        foo: {
-          bar: 'baz'
-        }
-      })
+      const signal = new Signal(1)
       new Observer(() => {
         counter += 1
-        tracker = reactor.foo.bar
+        tracker = signal()
       })()
-      assert.equal(counter, 1)
-      assert.equal(tracker, 'baz')
-      reactor.foo.bar = 'moo'
+      signal.update(value => value * 10)
       assert.equal(counter, 2)
-      assert.equal(tracker, 'moo')
-    })
-
-    it('triggers on defineProperty', () => {
-      let tracker
-      const reactor = new Reactor({
-        foo: 'bar'
-      })
-      new Observer(() => (tracker = reactor.foo))()
-      assert.equal(tracker, 'bar')
-      Object.defineProperty(reactor, 'foo', {
-        get () { return 'baz' }
-      })
-      assert.equal(tracker, 'baz')
+      assert.equal(tracker, 10)
     })
 
-    it('trigger on deleteProperty', () => {
-      let tracker
-      const reactor = new Reactor({
-        foo: 'bar'
-      })
-      new Observer(() => (tracker = reactor.foo))()
-      assert.equal(tracker, 'bar')
-      delete reactor.foo
-      assert.equal(tracker, undefined)
+    it('does not redundantly trigger on setting identical values', () => {
+      let counter = 0
+      const signal = new Signal('foo')
+      new Observer(() => {
+        counter += 1
+        signal()
+      })()
+      signal('foo')
+      assert.equal(counter, 1)
     })
 
-    it('triggers on array update methods', () => {
+    it('does not subscribe on peek', () => {
       let counter = 0
       let tracker
-      const reactor = new Reactor([])
+      const signal = new Signal('foo')
       new Observer(() => {
         counter += 1
-        tracker = reactor[0]
+        tracker = signal.peek()
       })()
+      signal('bar')
       assert.equal(counter, 1)
-      assert.equal(tracker, undefined)
-      reactor.push('foo')
-      assert.equal(counter, 2)
       assert.equal(tracker, 'foo')
-      reactor.unshift('bar')
-      assert.equal(counter, 3)
-      assert.equal(tracker, 'bar')
     })
 
-    it('triggers only once despite multiple dependencies', () => {
+    it('does not subscribe in hide block', () => {
       let counter = 0
-      let hasTracker
-      let getTracker
-      let ownKeysTracker
-      const reactor = new Reactor({
-        foo: 'bar'
-      })
+      const signal = new Signal('foo')
       new Observer(() => {
         counter += 1
-        hasTracker = ('foo' in reactor)
-        getTracker = reactor.foo
-        ownKeysTracker = Object.getOwnPropertyNames(reactor)
+        hide(() => signal())
       })()
+      signal('bar')
       assert.equal(counter, 1)
-      assert.equal(hasTracker, true)
-      assert.equal(getTracker, 'bar')
-      assert.equal(JSON.stringify(ownKeysTracker), '["foo"]')
-      reactor.foo = 'baz'
-      assert.equal(counter, 2)
-      assert.equal(hasTracker, true)
-      assert.equal(getTracker, 'baz')
-      assert.equal(JSON.stringify(ownKeysTracker), '["foo"]')
     })
 
-    it('triggers only once even for functions with multiple changes', () => {
+    it('can update inside an observer without looping', () => {
+      const source = new Signal(1)
+      const total = new Signal(0)
+      new Observer(() => {
+        const increment = source()
+        total.update(value => value + increment)
+      })()
+      assert.equal(total(), 1)
+      source(2)
+      assert.equal(total(), 3)
+    })
+
+    it('delays and combines observer triggers when using batch', () => {
       let counter = 0
-      let lengthTracker
-      let firstTracker
-      const reactor = new Reactor([])
+      const first = new Signal('foo')
+      const second = new Signal('bar')
       new Observer(() => {
         counter += 1
-        lengthTracker = reactor.length
-        firstTracker = reactor[0]
+        return first() + second()
       })()
-      assert.equal(counter, 1)
-      assert.equal(lengthTracker, 0)
-      assert.equal(firstTracker, undefined)
-      reactor.push('bar')
+      batch(() => {
+        first('bleep')
+        second('bloop')
+        assert.equal(counter, 1)
+      })
       assert.equal(counter, 2)
-      assert.equal(lengthTracker, 1)
-      assert.equal(firstTracker, 'bar')
     })
 
-    it('triggers correctly on nested observer definitions', () => {
-      const reactor = new Reactor({
-        outer: 'foo',
-        inner: 'bar'
-      })
-      let outerCounter = 0
-      let innerCounter = 0
-      let outerTracker
-      let innerTracker
-      let innerObserver
+    it('throws an error on a write if there is an Observer error', () => {
+      const signal = new Signal(1)
       new Observer(() => {
-        outerCounter += 1
+        if (signal() > 1) throw new Error('dummy error')
+      })()
+      assert.throws(() => signal(2), {
+        name: 'Error',
+        message: 'dummy error'
+      })
+    })
+  })
+})
+
+describe('Equality', () => {
+  it('does not trigger on writes of NaN over NaN', () => {
+    const signal = new Signal(NaN)
+    let counter = 0
+    new Observer(() => {
+      signal()
+      counter += 1
+    })()
+    signal(NaN)
+    assert.equal(counter, 1)
+  })
+
+  it('supports shallow equality for Signals', () => {
+    const signal = new Signal([1, 2], { equals: 'shallow' })
+    let counter = 0
+    new Observer(() => {
+      signal()
+      counter += 1
+    })()
+    signal([1, 2])
+    assert.equal(counter, 1)
+    signal([1, 2, 3])
+    assert.equal(counter, 2)
+    signal([1, 2, [3]])
+    signal([1, 2, [3]])
+    assert.equal(counter, 4)
+  })
+
+  it('supports deep equality for Signals', () => {
+    const signal = new Signal({ a: [1, { b: 2 }] }, { equals: 'deep' })
+    let counter = 0
+    new Observer(() => {
+      signal()
+      counter += 1
+    })()
+    signal({ a: [1, { b: 2 }] })
+    assert.equal(counter, 1)
+    signal({ a: [1, { b: 3 }] })
+    assert.equal(counter, 2)
+    signal(new Map([['a', new Set([1])]]))
+    signal(new Map([['a', new Set([1])]]))
+    assert.equal(counter, 3)
+    signal(new Date(0))
+    signal(new Date(0))
+    assert.equal(counter, 4)
+  })
+
+  it('handles cycles in deep equality', () => {
+    const first = { name: 'node' }
+    first.self = first
+    const second = { name: 'node' }
+    second.self = second
+    const signal = new Signal(first, { equals: 'deep' })
+    let counter = 0
+    new Observer(() => {
+      signal()
+      counter += 1
+    })()
+    signal(second)
+    assert.equal(counter, 1)
+  })
+
+  it('supports custom equality functions', () => {
+    const signal = new Signal('foo', {
+      equals: (a, b) => a.toLowerCase() === b.toLowerCase()
+    })
+    let counter = 0
+    new Observer(() => {
+      signal()
+      counter += 1
+    })()
+    signal('FOO')
+    assert.equal(counter, 1)
+    assert.equal(signal(), 'FOO')
+    signal('bar')
+    assert.equal(counter, 2)
+  })
+
+  it('throws on unknown equality options', () => {
+    assert.throws(() => new Signal(1, { equals: 'fuzzy' }), {
+      name: 'TypeError',
+      message: 'Unknown equality fuzzy'
+    })
+  })
+
+  it('supports equality for an Observer value', () => {
+    const reactor = new Reactor({ items: [1, 2] })
+    const filtered = new Observer(
+      () => reactor.items.filter(x => x > 1),
+      { equals: 'shallow' }
+    )
+    filtered()
+    let tracker = null
+    let counter = 0
+    new Observer(() => {
+      tracker = filtered.value
+      counter += 1
+    })()
+    reactor.items.push(0)
+    assert.equal(counter, 1)
+    reactor.items.push(3)
+    assert.equal(counter, 2)
+    assert.deepEqual(tracker, [2, 3])
+  })
+
+  it('supports equality for a Computed', () => {
+    const reactor = new Reactor({ items: [1, 2] })
+    const filtered = computed(
+      () => reactor.items.filter(x => x > 1),
+      { equals: 'shallow' }
+    )
+    let counter = 0
+    new Observer(() => {
+      filtered()
+      counter += 1
+    })()
+    reactor.items.push(0)
+    assert.equal(counter, 1)
+    reactor.items.push(3)
+    assert.equal(counter, 2)
+  })
+
+  it('supports equality for a whole Reactor', () => {
+    const reactor = new Reactor({ point: { x: 1 } }, { equals: 'deep' })
+    let tracker = null
+    let counter = 0
+    new Observer(() => {
+      tracker = reactor.point
+      counter += 1
+    })()
+    reactor.point = { x: 1 }
+    assert.equal(counter, 1)
+    reactor.point = { x: 2 }
+    assert.equal(counter, 2)
+    assert.equal(tracker.x, 2)
+  })
+
+  it('supports equality for individual Reactor properties', () => {
+    const reactor = new Reactor({ point: { x: 1 }, other: { x: 1 } }, {
+      propertyEquals: { point: 'shallow' }
+    })
+    let tracker = null
+    let pointCounter = 0
+    let otherCounter = 0
+    new Observer(() => {
+      tracker = reactor.point
+      pointCounter += 1
+    })()
+    new Observer(() => {
+      tracker = reactor.other
+      otherCounter += 1
+    })()
+    reactor.point = { x: 1 }
+    reactor.other = { x: 1 }
+    assert.equal(pointCounter, 1)
+    assert.equal(otherCounter, 2)
+    assert.equal(tracker, reactor.other)
+  })
+
+  it('applies options given to configure', () => {
+    const source = { point: { x: 1 } }
+    const reactor = new Reactor(source)
+    let tracker = null
+    let counter = 0
+    new Observer(() => {
+      tracker = reactor.point
+      counter += 1
+    })()
+    assert.equal(configure(reactor, { equals: 'deep' }), reactor)
+    reactor.point = { x: 1 }
+    assert.equal(counter, 1)
+    assert.equal(tracker.x, 1)
+  })
+
+  it('throws on options for an object which is already a Reactor', () => {
+    const source = { foo: 1 }
+    const reactor = new Reactor(source)
+    const error = {
+      name: 'TypeError',
+      message: 'Cannot give options to an object which is already a Reactor, use configure instead'
+    }
+    assert.throws(() => new Reactor(source, { equals: 'deep' }), error)
+    assert.throws(() => new Reactor(reactor, { name: 'store' }), error)
+    assert.equal(new Reactor(source), reactor)
+    assert.throws(() => configure({}, { equals: 'deep' }), {
+      name: 'TypeError',
+      message: 'Cannot configure a non-Reactor'
+    })
+  })
+
+  it('applies configured equality to keys already read from collections', () => {
+    const reactor = new Reactor(new Map([['a', [1]]]))
+    let counter = 0
+    new Observer(() => {
+      reactor.get('a')
+      counter += 1
+    })()
+    configure(reactor, { equals: 'shallow' })
+    reactor.set('a', [1])
+    assert.equal(counter, 1)
+    reactor.set('a', [2])
+    assert.equal(counter, 2)
+  })
+
+  it('supports equality for Map values', () => {
+    const reactor = new Reactor(new Map([['a', [1]]]), { equals: 'shallow' })
+    let counter = 0
+    new Observer(() => {
+      reactor.get('a')
+      counter += 1
+    })()
+    reactor.set('a', [1])
+    assert.equal(counter, 1)
+    reactor.set('a', [2])
+    assert.equal(counter, 2)
+  })
+})
+
+describe('Watch', () => {
+  it('reports changes to top level properties', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const changes = []
+    watch(reactor, change => changes.push(change))
+    reactor.foo = 'baz'
+    reactor.moo = 'mux'
+    delete reactor.foo
+    assert.deepEqual(changes, [
+      { path: ['foo'], oldValue: 'bar', newValue: 'baz' },
+      { path: ['moo'], oldValue: undefined, newValue: 'mux' },
+      { path: ['foo'], oldValue: 'baz', newValue: undefined }
+    ])
+  })
+
+  it('ignores writes of the same value', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    let counter = 0
+    watch(reactor, () => { counter += 1 })
+    reactor.foo = 'bar'
+    assert.equal(counter, 0)
+  })
+
+  it('only watches the top level by default', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' } })
+    let counter = 0
+    watch(reactor, () => { counter += 1 })
+    reactor.user.name = 'Bob'
+    assert.equal(counter, 0)
+  })
+
+  it('reports nested changes with their path when deep', () => {
+    const reactor = new Reactor({ user: { name: 'Ann', tags: ['a'] } })
+    const changes = []
+    watch(reactor, change => changes.push(change), { deep: true })
+    reactor.user.name = 'Bob'
+    reactor.user.tags[0] = 'b'
+    assert.deepEqual(changes, [
+      { path: ['user', 'name'], oldValue: 'Ann', newValue: 'Bob' },
+      { path: ['user', 'tags', '0'], oldValue: 'a', newValue: 'b' }
+    ])
+  })
+
+  it('follows objects added and removed when deep', () => {
+    const reactor = new Reactor({})
+    const paths = []
+    watch(reactor, ({ path }) => paths.push(path.join('.')), { deep: true })
+    reactor.user = { name: 'Ann' }
+    const oldUser = reactor.user
+    reactor.user.name = 'Bob'
+    reactor.user = { name: 'Cat' }
+    oldUser.name = 'Dan'
+    reactor.user.name = 'Eve'
+    assert.deepEqual(paths, ['user', 'user.name', 'user', 'user.name'])
+  })
+
+  it('handles cycles when deep', () => {
+    const source = { name: 'node' }
+    source.self = source
+    const reactor = new Reactor(source)
+    const paths = []
+    watch(reactor, ({ path }) => paths.push(path.join('.')), { deep: true })
+    reactor.self.self.name = 'changed'
+    assert.deepEqual(paths, ['name'])
+  })
+
+  it('reports changes inside Maps when deep', () => {
+    const reactor = new Reactor({ users: new Map([['ann', { age: 1 }]]) })
+    const changes = []
+    watch(reactor, change => changes.push(change), { deep: true })
+    reactor.users.get('ann').age = 2
+    reactor.users.set('bob', 3)
+    assert.deepEqual(changes, [
+      { path: ['users', 'ann', 'age'], oldValue: 1, newValue: 2 },
+      { path: ['users', 'bob'], oldValue: undefined, newValue: 3 }
+    ])
+  })
+
+  it('hands out new object values as Reactors', () => {
+    const reactor = new Reactor({})
+    let newValue = null
+    watch(reactor, change => { newValue = change.newValue })
+    reactor.user = { name: 'Ann' }
+    assert.notEqual(newValue, shuck(newValue))
+    assert.equal(shuck(newValue), shuck(reactor.user))
+  })
+
+  it('calls the handler straight away when immediate', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const changes = []
+    watch(reactor, change => changes.push(change), { immediate: true })
+    assert.deepEqual(changes, [
+      { path: [], oldValue: undefined, newValue: reactor }
+    ])
+  })
+
+  it('stops watching when unwatched', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' } })
+    let counter = 0
+    const unwatch = watch(reactor, () => { counter += 1 }, { deep: true })
+    unwatch()
+    reactor.user.name = 'Bob'
+    reactor.foo = 'bar'
+    assert.equal(counter, 0)
+  })
+
+  it('does not create dependencies in the handler', () => {
+    const reactor = new Reactor({ foo: 'bar', other: 'baz' })
+    let counter = 0
+    new Observer(() => {
+      counter += 1
+      watch(reactor, () => reactor.other)
+    })()
+    reactor.foo = 'moo'
+    reactor.other = 'mux'
+    assert.equal(counter, 1)
+  })
+
+  it('stops watching when the owning Observer reruns', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const trigger = new Signal(0)
+    let counter = 0
+    new Observer(() => {
+      trigger()
+      watch(reactor, () => { counter += 1 })
+    })()
+    trigger(1)
+    reactor.foo = 'baz'
+    assert.equal(counter, 1)
+  })
+
+  it('throws when watching a non-Reactor', () => {
+    assert.throws(() => watch({}, () => {}), {
+      name: 'TypeError',
+      message: 'Cannot watch a non-Reactor'
+    })
+  })
+})
+
+describe('Change Records', () => {
+  it('records sets and deletes', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const records = []
+    observeChanges(reactor, record => records.push(record))
+    reactor.foo = 'baz'
+    reactor.moo = 'mux'
+    delete reactor.foo
+    assert.deepEqual(records, [
+      { type: 'set', target: reactor, path: ['foo'], oldValue: 'bar', newValue: 'baz' },
+      { type: 'set', target: reactor, path: ['moo'], oldValue: undefined, newValue: 'mux' },
+      { type: 'delete', target: reactor, path: ['foo'], oldValue: 'baz', newValue: undefined }
+    ])
+  })
+
+  it('records explicit property definitions', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const records = []
+    observeChanges(reactor, record => records.push(record))
+    Object.defineProperty(reactor, 'foo', { enumerable: false })
+    Object.defineProperty(reactor, 'getter', { get: () => 1, configurable: true })
+    assert.deepEqual(records.map(record => [record.type, record.path[0]]), [
+      ['define', 'foo'],
+      ['define', 'getter']
+    ])
+  })
+
+  it('records nested changes with their target and path', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' } })
+    const records = []
+    observeChanges(reactor, record => records.push(record))
+    reactor.user.name = 'Bob'
+    assert.equal(records.length, 1)
+    assert.equal(records[0].target, reactor.user)
+    assert.deepEqual(records[0].path, ['user', 'name'])
+  })
+
+  it('only records the top level when not deep', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' } })
+    const records = []
+    observeChanges(reactor, record => records.push(record), { deep: false })
+    reactor.user.name = 'Bob'
+    assert.equal(records.length, 0)
+  })
+
+  it('coalesces array methods into a single splice', () => {
+    const reactor = new Reactor({ items: [1, 2, 3] })
+    const records = []
+    observeChanges(reactor, record => records.push(record))
+    reactor.items.push(4, 5)
+    reactor.items.splice(1, 1)
+    reactor.items.sort((a, b) => b - a)
+    assert.deepEqual(records.map(({ type, path, index, removed, added }) => ({
+      type, path, index, removed, added
+    })), [
+      { type: 'splice', path: ['items'], index: 3, removed: [], added: [4, 5] },
+      { type: 'splice', path: ['items'], index: 1, removed: [2], added: [] },
+      { type: 'splice', path: ['items'], index: 0, removed: [1, 3, 4, 5], added: [5, 4, 3, 1] }
+    ])
+    assert.equal(records[0].target, reactor.items)
+  })
+
+  it('does not record array methods which change nothing', () => {
+    const reactor = new Reactor({ items: [1, 2, 3] })
+    const records = []
+    observeChanges(reactor, record => records.push(record))
+    reactor.items.sort()
+    assert.equal(records.length, 0)
+  })
+
+  it('still records direct index writes on arrays', () => {
+    const reactor = new Reactor([1, 2])
+    const records = []
+    observeChanges(reactor, record => records.push(record))
+    reactor[0] = 3
+    assert.deepEqual(records.map(record => [record.type, record.path]), [
+      ['set', ['0']]
+    ])
+  })
+
+  it('records changes to Maps', () => {
+    const reactor = new Reactor(new Map([['a', 1]]))
+    const records = []
+    observeChanges(reactor, record => records.push(record))
+    reactor.set('a', 2)
+    reactor.delete('a')
+    assert.deepEqual(records.map(record => [record.type, record.path, record.newValue]), [
+      ['set', ['a'], 2],
+      ['delete', ['a'], undefined]
+    ])
+  })
+
+  it('stops recording when unsubscribed', () => {
+    const reactor = new Reactor({ items: [] })
+    const records = []
+    const unsubscribe = observeChanges(reactor, record => records.push(record))
+    unsubscribe()
+    reactor.items.push(1)
+    reactor.foo = 'bar'
+    assert.equal(records.length, 0)
+  })
+
+  it('throws when observing a non-Reactor', () => {
+    assert.throws(() => observeChanges({}, () => {}), {
+      name: 'TypeError',
+      message: 'Cannot observe changes of a non-Reactor'
+    })
+  })
+})
+
+describe('History', () => {
+  it('undoes and redoes property changes', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const reactorHistory = history(reactor)
+    reactor.foo = 'baz'
+    reactor.moo = 'mux'
+    reactorHistory.undo()
+    assert.deepEqual(shuck(reactor), { foo: 'baz' })
+    reactorHistory.undo()
+    assert.deepEqual(shuck(reactor), { foo: 'bar' })
+    reactorHistory.redo()
+    reactorHistory.redo()
+    assert.deepEqual(shuck(reactor), { foo: 'baz', moo: 'mux' })
+  })
+
+  it('undoes deletes and nested changes', () => {
+    const reactor = new Reactor({ user: { name: 'Ann', age: 1 } })
+    const reactorHistory = history(reactor)
+    delete reactor.user.age
+    reactor.user.name = 'Bob'
+    reactorHistory.undo()
+    reactorHistory.undo()
+    assert.deepEqual(shuck(reactor.user), { name: 'Ann', age: 1 })
+  })
+
+  it('groups changes in a batch into one transaction', () => {
+    const reactor = new Reactor({ title: 'Draft', tags: [] })
+    const reactorHistory = history(reactor)
+    batch(() => {
+      reactor.title = 'Final'
+      reactor.tags.push('done')
+    })
+    reactorHistory.undo()
+    assert.equal(reactor.title, 'Draft')
+    assert.equal(reactor.tags.length, 0)
+    assert.equal(reactorHistory.canUndo, false)
+    reactorHistory.redo()
+    assert.equal(reactor.title, 'Final')
+    assert.deepEqual(shuck(reactor.tags), ['done'])
+  })
+
+  it('treats array methods as one transaction', () => {
+    const reactor = new Reactor({ items: [3, 1, 2] })
+    const reactorHistory = history(reactor)
+    reactor.items.push(4)
+    reactor.items.sort()
+    reactor.items.splice(0, 2)
+    reactorHistory.undo()
+    assert.deepEqual(shuck(reactor.items), [1, 2, 3, 4])
+    reactorHistory.undo()
+    assert.deepEqual(shuck(reactor.items), [3, 1, 2, 4])
+    reactorHistory.undo()
+    assert.deepEqual(shuck(reactor.items), [3, 1, 2])
+    assert.equal(reactorHistory.canUndo, false)
+  })
+
+  it('restores items dropped by shortening an array', () => {
+    const reactor = new Reactor({ items: [1, 2, 3] })
+    const reactorHistory = history(reactor)
+    reactor.items.length = 1
+    reactorHistory.undo()
+    assert.deepEqual(shuck(reactor.items), [1, 2, 3])
+  })
+
+  it('undoes changes to Maps and Sets', () => {
+    const reactor = new Reactor({
+      map: new Map([['a', 1]]),
+      set: new Set([1])
+    })
+    const reactorHistory = history(reactor)
+    batch(() => {
+      reactor.map.set('a', 2)
+      reactor.map.set('b', 3)
+      reactor.set.add(2)
+      reactor.set.delete(1)
+    })
+    reactorHistory.undo()
+    assert.deepEqual(Array.from(shuck(reactor.map)), [['a', 1]])
+    assert.deepEqual(Array.from(shuck(reactor.set)), [1])
+  })
+
+  it('triggers observers when undoing', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const reactorHistory = history(reactor)
+    let tracker = null
+    new Observer(() => { tracker = reactor.foo })()
+    reactor.foo = 'baz'
+    reactorHistory.undo()
+    assert.equal(tracker, 'bar')
+  })
+
+  it('makes canUndo and canRedo observable', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const reactorHistory = history(reactor)
+    const states = []
+    new Observer(() => {
+      states.push([reactorHistory.canUndo, reactorHistory.canRedo])
+    })()
+    reactor.foo = 'baz'
+    reactorHistory.undo()
+    reactorHistory.redo()
+    assert.deepEqual(states, [
+      [false, false],
+      [true, false],
+      [false, true],
+      [true, false]
+    ])
+  })
+
+  it('clears the redo stack on new changes', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const reactorHistory = history(reactor)
+    reactor.foo = 'baz'
+    reactorHistory.undo()
+    reactor.foo = 'moo'
+    assert.equal(reactorHistory.canRedo, false)
+    assert.equal(reactorHistory.redo(), false)
+  })
+
+  it('includes changes made by observers in the transaction', () => {
+    const reactor = new Reactor({ price: 1, total: 1 })
+    new Observer(() => { reactor.total = reactor.price * 2 })()
+    const reactorHistory = history(reactor)
+    reactor.price = 5
+    assert.equal(reactor.total, 10)
+    reactorHistory.undo()
+    assert.equal(reactor.price, 1)
+    assert.equal(reactor.total, 2)
+    assert.equal(reactorHistory.canUndo, false)
+  })
+
+  it('ignores changes reverted by a failed transaction', () => {
+    const reactor = new Reactor({ title: 'a', tags: ['x'] })
+    const reactorHistory = history(reactor)
+    reactor.title = 'b'
+    reactorHistory.undo()
+    assert.throws(() => transaction(() => {
+      reactor.title = 'c'
+      reactor.tags.push('y')
+      throw new Error('dummy error')
+    }))
+    assert.equal(reactorHistory.canUndo, false)
+    assert.equal(reactorHistory.canRedo, true)
+    reactorHistory.redo()
+    assert.equal(reactor.title, 'b')
+  })
+
+  it('keeps the rest of a batch with a failed transaction in it', () => {
+    const reactor = new Reactor({ outer: 0, inner: 0 })
+    const reactorHistory = history(reactor)
+    batch(() => {
+      reactor.outer = 1
+      try {
+        transaction(() => {
+          reactor.inner = 1
+          throw new Error('dummy error')
+        })
+      } catch (error) {}
+    })
+    reactorHistory.undo()
+    assert.deepEqual(shuck(reactor), { outer: 0, inner: 0 })
+    assert.equal(reactorHistory.canUndo, false)
+    reactorHistory.redo()
+    assert.deepEqual(shuck(reactor), { outer: 1, inner: 0 })
+  })
+
+  it('only remembers up to the limit', () => {
+    const reactor = new Reactor({ count: 0 })
+    const reactorHistory = history(reactor, { limit: 2 })
+    reactor.count = 1
+    reactor.count = 2
+    reactor.count = 3
+    assert.equal(reactorHistory.undo(), true)
+    assert.equal(reactorHistory.undo(), true)
+    assert.equal(reactorHistory.undo(), false)
+    assert.equal(reactor.count, 1)
+  })
+
+  it('keeps recording when the observer it was created in reruns', () => {
+    const reactor = new Reactor({ count: 0 })
+    const trigger = new Signal(0)
+    let reactorHistory = null
+    new Observer(() => {
+      trigger()
+      if (!reactorHistory) reactorHistory = history(reactor)
+    })()
+    trigger(1)
+    reactor.count = 1
+    assert.equal(reactorHistory.canUndo, true)
+    reactorHistory.undo()
+    assert.equal(reactor.count, 0)
+  })
+
+  it('stops recording when stopped', () => {
+    const reactor = new Reactor({ count: 0 })
+    const reactorHistory = history(reactor)
+    reactorHistory.stop()
+    reactor.count = 1
+    assert.equal(reactorHistory.canUndo, false)
+  })
+
+  it('throws on invalid limits', () => {
+    assert.throws(() => history(new Reactor(), { limit: 0 }), {
+      name: 'RangeError',
+      message: 'History limit must be a positive integer'
+    })
+  })
+})
+
+describe('Transaction', () => {
+  it('keeps changes and returns the result if nothing throws', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    const result = transaction(() => {
+      reactor.foo = 'baz'
+      return 'done'
+    })
+    assert.equal(result, 'done')
+    assert.equal(reactor.foo, 'baz')
+  })
+
+  it('reverts changes and rethrows if the block throws', () => {
+    const reactor = new Reactor({ foo: 'bar', moo: 'mux', items: [1] })
+    assert.throws(() => transaction(() => {
+      reactor.foo = 'baz'
+      delete reactor.moo
+      reactor.added = true
+      reactor.items.push(2, 3)
+      throw new Error('dummy error')
+    }), {
+      name: 'Error',
+      message: 'dummy error'
+    })
+    assert.deepEqual(shuck(reactor), { foo: 'bar', moo: 'mux', items: [1] })
+  })
+
+  it('reverts array methods while changes are being listened to', () => {
+    const reactor = new Reactor({ items: [1, 2] })
+    observeChanges(reactor, () => {})
+    assert.throws(() => transaction(() => {
+      reactor.items.push(3)
+      reactor.items.splice(0, 1)
+      throw new Error('dummy error')
+    }), {
+      name: 'Error',
+      message: 'dummy error'
+    })
+    assert.deepEqual(shuck(reactor), { items: [1, 2] })
+  })
+
+  it('reverts changes to collections', () => {
+    const reactor = new Reactor({ map: new Map([['a', 1]]), set: new Set([1]) })
+    assert.throws(() => transaction(() => {
+      reactor.map.set('a', 2)
+      reactor.map.set('b', 3)
+      reactor.set.add(2)
+      reactor.set.delete(1)
+      throw new Error('dummy error')
+    }))
+    assert.deepEqual(Array.from(shuck(reactor.map)), [['a', 1]])
+    assert.deepEqual(Array.from(shuck(reactor.set)), [1])
+  })
+
+  it('reverts writes only equal by a custom comparison', () => {
+    const reactor = new Reactor({ name: 'foo' }, {
+      propertyEquals: { name: (a, b) => a.toLowerCase() === b.toLowerCase() }
+    })
+    assert.throws(() => transaction(() => {
+      reactor.name = 'FOO'
+      throw new Error('dummy error')
+    }))
+    assert.equal(reactor.name, 'foo')
+  })
+
+  it('never lets observers see half finished changes', () => {
+    const reactor = new Reactor({ from: 100, to: 0 })
+    const totals = []
+    new Observer(() => {
+      totals.push(reactor.from + reactor.to)
+    })()
+    assert.throws(() => transaction(() => {
+      reactor.from -= 50
+      throw new Error('dummy error')
+    }))
+    transaction(() => {
+      reactor.from -= 50
+      reactor.to += 50
+    })
+    assert(totals.every(total => total === 100))
+    assert.equal(reactor.to, 50)
+  })
+
+  it('only reverts the inner transaction if it fails alone', () => {
+    const reactor = new Reactor({ outer: 0, inner: 0 })
+    transaction(() => {
+      reactor.outer = 1
+      try {
+        transaction(() => {
+          reactor.inner = 1
+          throw new Error('dummy error')
+        })
+      } catch (error) {}
+    })
+    assert.deepEqual(shuck(reactor), { outer: 1, inner: 0 })
+  })
+
+  it('reverts inner transactions if the outer one fails', () => {
+    const reactor = new Reactor({ outer: 0, inner: 0 })
+    assert.throws(() => transaction(() => {
+      reactor.outer = 1
+      transaction(() => { reactor.inner = 1 })
+      throw new Error('dummy error')
+    }))
+    assert.deepEqual(shuck(reactor), { outer: 0, inner: 0 })
+  })
+})
+
+describe('Snapshot', () => {
+  it('makes a deeply frozen plain copy', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' }, todos: ['a'] })
+    const copy = snapshot(reactor)
+    assert.deepEqual(copy, { user: { name: 'Ann' }, todos: ['a'] })
+    assert.notEqual(copy, shuck(reactor))
+    assert.notEqual(copy.user, shuck(reactor.user))
+    assert(Object.isFrozen(copy))
+    assert(Object.isFrozen(copy.user))
+    assert(Object.isFrozen(copy.todos))
+    reactor.user.name = 'Bob'
+    assert.equal(copy.user.name, 'Ann')
+  })
+
+  it('copies Maps, Sets and Dates', () => {
+    const reactor = new Reactor({
+      map: new Map([['a', { b: 1 }]]),
+      set: new Set([1, 2]),
+      date: new Date(0)
+    })
+    const copy = snapshot(reactor)
+    assert(copy.map instanceof Map)
+    assert.deepEqual(copy.map.get('a'), { b: 1 })
+    assert(Object.isFrozen(copy.map.get('a')))
+    assert.deepEqual(Array.from(copy.set), [1, 2])
+    assert(copy.date instanceof Date)
+    assert.equal(copy.date.getTime(), 0)
+    assert.notEqual(copy.date, shuck(reactor).date)
+  })
+
+  it('keeps cycles and shared objects', () => {
+    const shared = { value: 1 }
+    const source = { first: shared, second: shared }
+    source.self = source
+    const copy = snapshot(new Reactor(source))
+    assert.equal(copy.self, copy)
+    assert.equal(copy.first, copy.second)
+  })
+
+  it('reuses parts which have not changed', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' }, todos: ['a'] })
+    const first = snapshot(reactor)
+    assert.equal(snapshot(reactor), first)
+    reactor.todos.push('b')
+    const second = snapshot(reactor)
+    assert.notEqual(second, first)
+    assert.notEqual(second.todos, first.todos)
+    assert.equal(second.user, first.user)
+    assert.deepEqual(second.todos, ['a', 'b'])
+  })
+
+  it('retriggers observers on any nested change', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' }, tags: new Set() })
+    let tracker = null
+    let counter = 0
+    new Observer(() => {
+      tracker = snapshot(reactor)
+      counter += 1
+    })()
+    reactor.user.name = 'Bob'
+    assert.equal(counter, 2)
+    assert.equal(tracker.user.name, 'Bob')
+    reactor.tags.add('new')
+    assert.equal(counter, 3)
+    assert(tracker.tags.has('new'))
+  })
+
+  it('does not create signals when not tracking', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' } })
+    let counter = 0
+    new Observer(() => {
+      hide(() => snapshot(reactor))
+      counter += 1
+    })()
+    reactor.user.name = 'Bob'
+    assert.equal(counter, 1)
+  })
+})
+
+describe('Serialization', () => {
+  it('round trips plain state', () => {
+    const reactor = new Reactor({ foo: 'bar', list: [1, { a: null }], flag: true })
+    const restored = hydrate(serialize(reactor))
+    assert.deepEqual(shuck(restored), shuck(reactor))
+    assert.notEqual(shuck(restored), shuck(reactor))
+  })
+
+  it('produces JSON', () => {
+    const reactor = new Reactor({ foo: 'bar' })
+    assert.doesNotThrow(() => JSON.parse(serialize(reactor)))
+  })
+
+  it('round trips Maps, Sets, Dates and special numbers', () => {
+    const reactor = new Reactor({
+      map: new Map([[{ key: 1 }, 'object key'], ['a', new Set([1, 2])]]),
+      date: new Date(1000),
+      missing: undefined,
+      numbers: [NaN, Infinity, -Infinity],
+      big: BigInt(10)
+    })
+    const restored = shuck(hydrate(serialize(reactor)))
+    assert(restored.map instanceof Map)
+    assert.deepEqual(Array.from(restored.map.keys()), [{ key: 1 }, 'a'])
+    assert.deepEqual(Array.from(restored.map.get('a')), [1, 2])
+    assert.equal(restored.date.getTime(), 1000)
+    assert('missing' in restored)
+    assert.equal(restored.missing, undefined)
+    assert.deepEqual(restored.numbers, [NaN, Infinity, -Infinity])
+    assert.equal(restored.big, BigInt(10))
+  })
+
+  it('keeps cycles and shared objects', () => {
+    const shared = { value: 1 }
+    const source = { first: shared, second: shared }
+    source.self = source
+    const restored = shuck(hydrate(serialize(new Reactor(source))))
+    assert.equal(restored.self, restored)
+    assert.equal(restored.first, restored.second)
+  })
+
+  it('skips functions and symbols', () => {
+    const reactor = new Reactor({ method () {}, symbol: Symbol('foo'), list: [() => {}] })
+    assert.deepEqual(shuck(hydrate(serialize(reactor))), { list: [null] })
+  })
+
+  it('does not create dependencies when serializing', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' } })
+    let counter = 0
+    new Observer(() => {
+      serialize(reactor)
+      counter += 1
+    })()
+    reactor.user.name = 'Bob'
+    assert.equal(counter, 1)
+  })
+
+  it('hydrates a target Reactor in a single batch', () => {
+    const reactor = new Reactor({ foo: 'bar', moo: 'mux', old: 1 })
+    const json = serialize({ foo: 'baz', moo: 'cow', added: true })
+    let counter = 0
+    new Observer(() => {
+      counter += 1
+      return [reactor.foo, reactor.moo, Object.keys(reactor)]
+    })()
+    assert.equal(hydrate(json, reactor), reactor)
+    assert.equal(counter, 2)
+    assert.deepEqual(shuck(reactor), { foo: 'baz', moo: 'cow', added: true })
+  })
+
+  it('hydrates target arrays and collections', () => {
+    const array = new Reactor([1, 2, 3])
+    hydrate(serialize([4]), array)
+    assert.deepEqual(shuck(array), [4])
+    const map = new Reactor(new Map([['a', 1]]))
+    hydrate(serialize(new Map([['b', 2]])), map)
+    assert.deepEqual(Array.from(shuck(map)), [['b', 2]])
+  })
+
+  it('throws when hydrating a different type of state', () => {
+    assert.throws(() => hydrate(serialize([1]), new Reactor({})), {
+      name: 'TypeError',
+      message: 'Cannot hydrate a Reactor with a different type of state'
+    })
+  })
+
+  it('keeps __proto__ as a plain key when hydrating a target', () => {
+    const json = '{"$id":0,"$type":"Object","value":{"__proto__":' +
+      '{"$id":1,"$type":"Object","value":{"isAdmin":true}}}}'
+    const target = new Reactor({})
+    hydrate(json, target)
+    assert.equal(target.isAdmin, undefined)
+    assert.equal(Object.getPrototypeOf(shuck(target)), Object.prototype)
+    assert.deepEqual(Object.keys(target), ['__proto__'])
+  })
+})
+
+describe('Persistence', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0))
+
+  it('loads stored state into the Reactor', () => {
+    const store = new Map()
+    persist(new Reactor({ theme: 'dark', size: 2 }), memoryAdapter(store), { key: 'settings' })
+    const reactor = new Reactor({ theme: 'light', extra: true })
+    persist(reactor, memoryAdapter(store), { key: 'settings' })
+    assert.deepEqual(shuck(reactor), { theme: 'dark', size: 2, extra: true })
+  })
+
+  it('writes changes back once per burst of changes', async () => {
+    const store = new Map()
+    const adapter = memoryAdapter(store)
+    let writes = 0
+    const setItem = adapter.setItem
+    adapter.setItem = (key, value) => {
+      writes += 1
+      setItem(key, value)
+    }
+    const reactor = new Reactor({ user: { name: 'Ann' }, count: 0 })
+    persist(reactor, adapter, { key: 'state' })
+    assert.equal(writes, 1)
+    reactor.user.name = 'Bob'
+    reactor.count = 1
+    await tick()
+    assert.equal(writes, 2)
+    const restored = new Reactor({})
+    persist(restored, memoryAdapter(store), { key: 'state' })
+    assert.deepEqual(shuck(restored), { user: { name: 'Bob' }, count: 1 })
+  })
+
+  it('debounces writes', async () => {
+    const store = new Map()
+    const reactor = new Reactor({ count: 0 })
+    const handle = persist(reactor, memoryAdapter(store), { key: 'count', debounce: 20 })
+    reactor.count = 1
+    await tick()
+    reactor.count = 2
+    await tick()
+    assert.equal(store.get('count'), undefined)
+    await new Promise(resolve => setTimeout(resolve, 40))
+    assert.equal(JSON.parse(store.get('count')).state.value.count, 2)
+    reactor.count = 3
+    await tick()
+    await handle.flush()
+    assert.equal(JSON.parse(store.get('count')).state.value.count, 3)
+  })
+
+  it('only persists included properties', async () => {
+    const store = new Map()
+    const reactor = new Reactor({ theme: 'dark', draft: 'secret', token: 'abc' })
+    persist(reactor, memoryAdapter(store), { key: 'a', include: ['theme'] })
+    persist(reactor, memoryAdapter(store), { key: 'b', exclude: ['draft'] })
+    await tick()
+    assert.deepEqual(Object.keys(JSON.parse(store.get('a')).state.value), ['theme'])
+    assert.deepEqual(Object.keys(JSON.parse(store.get('b')).state.value), ['theme', 'token'])
+  })
+
+  it('migrates stored state from older versions', () => {
+    const store = new Map()
+    persist(new Reactor({ darkMode: true }), memoryAdapter(store), { key: 'settings' })
+    const reactor = new Reactor({ theme: 'light' })
+    persist(reactor, memoryAdapter(store), {
+      key: 'settings',
+      version: 3,
+      migrations: {
+        2: old => ({ theme: old.darkMode ? 'dark' : 'light' }),
+        3: old => ({ ...old, fontSize: 12 })
+      }
+    })
+    assert.deepEqual(shuck(reactor), { theme: 'dark', fontSize: 12 })
+    assert.equal(JSON.parse(store.get('settings')).version, 3)
+  })
+
+  it('refuses stored state from newer versions', () => {
+    const store = new Map()
+    persist(new Reactor({}), memoryAdapter(store), { key: 'settings', version: 2 })
+    assert.throws(() => persist(new Reactor({}), memoryAdapter(store), { key: 'settings' }), {
+      name: 'Error',
+      message: 'Stored state for settings is version 2 which is newer than version 1'
+    })
+  })
+
+  it('persists arrays and collections whole', () => {
+    const store = new Map()
+    persist(new Reactor(new Set([1, 2])), memoryAdapter(store), { key: 'set' })
+    const reactor = new Reactor(new Set([3]))
+    persist(reactor, memoryAdapter(store), { key: 'set' })
+    assert.deepEqual(Array.from(shuck(reactor)), [1, 2])
+  })
+
+  it('stops writing when stopped', async () => {
+    const store = new Map()
+    const reactor = new Reactor({ count: 0 })
+    const handle = persist(reactor, memoryAdapter(store), { key: 'count' })
+    await handle.stop()
+    reactor.count = 1
+    await tick()
+    assert.equal(JSON.parse(store.get('count')).state.value.count, 0)
+    await handle.clear()
+    assert(!store.has('count'))
+  })
+
+  it('keeps writing when the observer it was called in reruns', async () => {
+    const store = new Map()
+    const reactor = new Reactor({ count: 0 })
+    const trigger = new Signal(0)
+    let handle = null
+    new Observer(() => {
+      trigger()
+      if (!handle) handle = persist(reactor, memoryAdapter(store), { key: 'count' })
+    })()
+    trigger(1)
+    reactor.count = 5
+    await handle.flush()
+    assert.equal(JSON.parse(store.get('count')).state.value.count, 5)
+    await handle.stop()
+  })
+
+  it('works with Web Storage', () => {
+    const items = {}
+    const storage = {
+      getItem: key => key in items ? items[key] : null,
+      setItem: (key, value) => { items[key] = String(value) },
+      removeItem: key => { delete items[key] }
+    }
+    persist(new Reactor({ foo: 'bar' }), webStorageAdapter(storage), { key: 'state' })
+    const reactor = new Reactor({})
+    persist(reactor, webStorageAdapter(storage), { key: 'state' })
+    assert.equal(reactor.foo, 'bar')
+  })
+
+  it('works with the file system', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reactor-'))
+    try {
+      const first = persist(new Reactor({ foo: 'bar' }), fileSystemAdapter(fs, directory), { key: 'state' })
+      await first.ready
+      await first.stop()
+      const reactor = new Reactor({})
+      const second = persist(reactor, fileSystemAdapter(fs, directory), { key: 'state' })
+      assert.equal(reactor.foo, undefined)
+      await second.ready
+      assert.equal(reactor.foo, 'bar')
+      await second.stop()
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true })
+    }
+  })
+
+  it('keeps __proto__ as a plain key when loading', () => {
+    const store = new Map([['state', JSON.stringify({
+      version: 1,
+      state: { $id: 0, $type: 'Object', value: { __proto__: { $id: 1, $type: 'Object', value: { isAdmin: true } } } }
+    })]])
+    const reactor = new Reactor({ name: 'Ann' })
+    persist(reactor, memoryAdapter(store), { key: 'state' })
+    assert.equal(reactor.isAdmin, undefined)
+    assert.equal(reactor.name, 'Ann')
+    assert.equal(Object.getPrototypeOf(shuck(reactor)), Object.prototype)
+  })
+
+  it('throws on invalid adapters', () => {
+    assert.throws(() => persist(new Reactor(), {}, { key: 'state' }), {
+      name: 'TypeError',
+      message: 'Persistence adapters need getItem and setItem methods'
+    })
+  })
+
+  it('rejects flush with errors from writing', async () => {
+    const adapter = memoryAdapter()
+    let fail = false
+    adapter.setItem = () => {
+      if (fail) return Promise.reject(new Error('disk full'))
+    }
+    const reactor = new Reactor({ count: 0 })
+    const handle = persist(reactor, adapter, { key: 'count' })
+    await handle.ready
+    fail = true
+    reactor.count = 1
+    await tick()
+    await assert.rejects(handle.flush(), { message: 'disk full' })
+    await handle.flush()
+    handle.stop()
+  })
+
+  it('rejects ready with errors from the first write', async () => {
+    const adapter = memoryAdapter()
+    adapter.setItem = () => { throw new Error('quota') }
+    const reactor = new Reactor({ count: 0 })
+    const handle = persist(reactor, adapter, { key: 'count' })
+    await assert.rejects(handle.ready, { message: 'quota' })
+    reactor.count = 1
+    await tick()
+    await assert.rejects(handle.flush(), { message: 'quota' })
+    handle.stop()
+  })
+
+  it('passes errors from writing to onError or the global error handler', async () => {
+    const adapter = memoryAdapter()
+    adapter.setItem = () => { throw new Error('quota') }
+    const errors = []
+    const own = persist(new Reactor({}), adapter, {
+      key: 'own',
+      onError: error => errors.push('own ' + error.message)
+    })
+    await own.ready
+    setErrorHandler(error => errors.push('global ' + error.message))
+    try {
+      const global = persist(new Reactor({}), adapter, { key: 'global' })
+      await global.ready
+    } finally {
+      setErrorHandler(null)
+    }
+    assert.deepEqual(errors, ['own quota', 'global quota'])
+  })
+})
+
+describe('Readonly', () => {
+  it('reads through to the Reactor', () => {
+    const reactor = new Reactor({ foo: 'bar', user: { name: 'Ann' } })
+    const view = readonly(reactor)
+    assert.equal(view.foo, 'bar')
+    assert.equal(view.user.name, 'Ann')
+    assert('foo' in view)
+    assert.deepEqual(Object.keys(view), ['foo', 'user'])
+    reactor.foo = 'baz'
+    assert.equal(view.foo, 'baz')
+  })
+
+  it('is tracked by observers', () => {
+    const reactor = new Reactor({ user: { name: 'Ann' } })
+    const view = readonly(reactor)
+    let tracker = null
+    new Observer(() => { tracker = view.user.name })()
+    reactor.user.name = 'Bob'
+    assert.equal(tracker, 'Bob')
+  })
+
+  it('throws on writes and deletes', () => {
+    const view = readonly(new Reactor({ foo: 'bar', user: { name: 'Ann' } }))
+    assert.throws(() => { view.foo = 'baz' }, {
+      name: 'TypeError',
+      message: 'Cannot define foo of a readonly Reactor'
+    })
+    assert.throws(() => { delete view.foo }, {
+      name: 'TypeError',
+      message: 'Cannot delete foo of a readonly Reactor'
+    })
+    assert.throws(() => { view.user.name = 'Bob' }, {
+      name: 'TypeError',
+      message: 'Cannot define user.name of a readonly Reactor'
+    })
+    assert.throws(() => Object.defineProperty(view, 'foo', { value: 1 }), TypeError)
+    assert.equal(view.foo, 'bar')
+  })
+
+  it('throws on methods which change arrays', () => {
+    const reactor = new Reactor({ items: [3, 1, 2] })
+    const view = readonly(reactor)
+    assert.throws(() => view.items.push(4), TypeError)
+    assert.throws(() => view.items.sort(), TypeError)
+    assert.deepEqual(shuck(reactor.items), [3, 1, 2])
+    assert.deepEqual(view.items.map(x => x * 2), [6, 2, 4])
+  })
+
+  it('throws on methods which change collections', () => {
+    const reactor = new Reactor({ map: new Map([['a', { b: 1 }]]), set: new Set([1]) })
+    const view = readonly(reactor)
+    assert.throws(() => view.map.set('a', 2), {
+      name: 'TypeError',
+      message: 'Cannot call map.set of a readonly Reactor'
+    })
+    assert.throws(() => view.set.add(2), TypeError)
+    assert.throws(() => view.set.clear(), TypeError)
+    assert.equal(view.map.size, 1)
+    assert(view.set.has(1))
+    assert(isReadonly(view.map.get('a')))
+    assert(isReadonly(Array.from(view.map.values())[0]))
+    assert.throws(() => { view.map.get('a').b = 2 }, TypeError)
+  })
+
+  it('allows reading but not changing Dates', () => {
+    const view = readonly(new Reactor({ date: new Date(0) }))
+    assert.equal(view.date.getTime(), 0)
+    assert.throws(() => view.date.setTime(1), TypeError)
+    assert.equal(view.date.getTime(), 0)
+  })
+
+  it('always gives the same view', () => {
+    const reactor = new Reactor({ user: {} })
+    const view = readonly(reactor)
+    assert.equal(readonly(reactor), view)
+    assert.equal(readonly(view), view)
+    assert.equal(view.user, view.user)
+  })
+
+  it('gives readonly views through property descriptors', () => {
+    const state = new Reactor({ user: { name: 'Ann' }, tags: [{ id: 1 }] })
+    const view = readonly(state)
+    let tracker
+    new Observer(() => { tracker = state.user.name })()
+    const descriptor = Object.getOwnPropertyDescriptor(view, 'user')
+    assert(isReadonly(descriptor.value))
+    assert.throws(() => { descriptor.value.name = 'Hacked' }, TypeError)
+    assert.equal(tracker, 'Ann')
+    assert.equal(shuck(state.user).name, 'Ann')
+    assert(isReadonly(Object.getOwnPropertyDescriptor(view.tags, '0').value))
+    assert.equal(Object.getOwnPropertyDescriptor(view.tags, 'length').value, 1)
+  })
+
+  it('checks if something is readonly', () => {
+    const reactor = new Reactor({})
+    assert(isReadonly(readonly(reactor)))
+    assert(!isReadonly(reactor))
+    assert(!isReadonly({}))
+  })
+})
+
+describe('Shallow', () => {
+  it('gives out nested objects as they are', () => {
+    const payload = { user: { name: 'Ann' } }
+    const reactor = new Reactor({ payload }, { shallow: true })
+    assert.equal(reactor.payload, payload)
+    assert.equal(reactor.payload.user, payload.user)
+  })
+
+  it('still tracks its own properties', () => {
+    const reactor = new Reactor({ payload: { id: 1 } }, { shallow: true })
+    let tracker = null
+    new Observer(() => { tracker = reactor.payload })()
+    const next = { id: 2 }
+    reactor.payload = next
+    assert.equal(tracker, next)
+  })
+
+  it('does not track nested changes', () => {
+    const reactor = new Reactor({ payload: { id: 1 } }, { shallow: true })
+    let counter = 0
+    new Observer(() => {
+      counter += 1
+      return reactor.payload.id
+    })()
+    reactor.payload.id = 2
+    assert.equal(counter, 1)
+  })
+
+  it('gives out Map values as they are', () => {
+    const value = { id: 1 }
+    const reactor = new Reactor(new Map([['a', value]]), { shallow: true })
+    assert.equal(reactor.get('a'), value)
+    assert.equal(Array.from(reactor.values())[0], value)
+  })
+
+  it('never wraps objects marked raw', () => {
+    const node = markRaw({ tag: 'div' })
+    const reactor = new Reactor({ node })
+    assert.equal(reactor.node, node)
+    assert.equal(new Reactor(node), node)
+    const signal = new Signal(node)
+    assert.equal(signal(), node)
+  })
+
+  it('keeps raw objects as they are in snapshots and deep watches', () => {
+    const node = markRaw({ tag: 'div' })
+    const reactor = new Reactor({ node, other: {} })
+    assert.equal(snapshot(reactor).node, node)
+    let counter = 0
+    watch(reactor, () => { counter += 1 }, { deep: true })
+    reactor.other.foo = 'bar'
+    assert.equal(counter, 1)
+  })
+
+  it('throws when marking Reactors or non-objects raw', () => {
+    assert.throws(() => markRaw(new Reactor()), {
+      name: 'TypeError',
+      message: 'Cannot mark a Reactor as raw'
+    })
+    assert.throws(() => markRaw(1), {
+      name: 'TypeError',
+      message: 'Cannot mark a non-object as raw'
+    })
+  })
+})
+
+describe('Model', () => {
+  const Address = model({ city: { type: 'string', required: true } })
+  const User = model({
+    first: { type: 'string', default: '' },
+    last: { type: 'string', default: '' },
+    age: { type: 'number', validate: age => age >= 0 || 'must not be negative' },
+    tags: { type: 'array', default: () => [] },
+    address: Address,
+    fullName: { computed: user => (user.first + ' ' + user.last).trim() }
+  })
+
+  it('creates instances with defaults', () => {
+    const user = User({ first: 'Ann' })
+    assert.equal(user.first, 'Ann')
+    assert.equal(user.last, '')
+    assert.deepEqual(shuck(user.tags), [])
+    assert.notEqual(shuck(User().tags), shuck(user.tags))
+    assert(User.isInstance(user))
+  })
+
+  it('rejects invalid initial data', () => {
+    assert.throws(() => User({ age: 'old', extra: true }), (error) => {
+      assert(error instanceof ValidationError)
+      assert.deepEqual(error.errors, {
+        age: 'must be of type number',
+        extra: 'is not in the schema'
+      })
+      return true
+    })
+  })
+
+  it('rejects invalid writes without changing anything', () => {
+    const user = User({ age: 1 })
+    let counter = 0
+    new Observer(() => {
+      counter += 1
+      return user.age
+    })()
+    assert.throws(() => { user.age = -1 }, {
+      name: 'ValidationError',
+      message: 'Validation failed: age must not be negative'
+    })
+    assert.throws(() => { user.unknown = 1 }, ValidationError)
+    assert.equal(user.age, 1)
+    assert.equal(counter, 1)
+    user.age = 2
+    assert.equal(counter, 2)
+  })
+
+  it('rejects deleting required properties', () => {
+    const place = Address({ city: 'Paris' })
+    assert.throws(() => { delete place.city }, {
+      name: 'ValidationError',
+      message: 'Validation failed: city is required'
+    })
+    assert.equal(place.city, 'Paris')
+  })
+
+  it('calculates computed properties', () => {
+    const user = User({ first: 'Ann', last: 'Lee' })
+    let tracker = null
+    new Observer(() => { tracker = user.fullName })()
+    assert.equal(tracker, 'Ann Lee')
+    user.last = 'Kim'
+    assert.equal(tracker, 'Ann Kim')
+    assert.throws(() => { user.fullName = 'Bob' }, {
+      name: 'ValidationError',
+      message: 'Validation failed: fullName is computed'
+    })
+  })
+
+  it('round trips instances with computed properties', async () => {
+    const user = User({ first: 'Bob' })
+    const restored = hydrate(serialize(user), User({ first: 'Ann' }))
+    assert.equal(restored.first, 'Bob')
+    assert.equal(restored.fullName, 'Bob')
+    const store = new Map()
+    const handle = persist(user, memoryAdapter(store), { key: 'user' })
+    await handle.flush()
+    const reloaded = User()
+    await persist(reloaded, memoryAdapter(store), { key: 'user' }).ready
+    assert.equal(reloaded.fullName, 'Bob')
+  })
+
+  it('turns nested objects into model instances', () => {
+    const user = User({ address: { city: 'Paris' } })
+    assert(Address.isInstance(user.address))
+    user.address = { city: 'Rome' }
+    assert(Address.isInstance(user.address))
+    assert.equal(user.address.city, 'Rome')
+    assert.throws(() => { user.address.city = 1 }, ValidationError)
+  })
+
+  it('reports nested problems with their path', () => {
+    assert.throws(() => User({ address: {} }), (error) => {
+      assert.deepEqual(error.errors, { 'address.city': 'is required' })
+      return true
+    })
+    const user = User()
+    assert.throws(() => { user.address = { city: 1 } }, (error) => {
+      assert.deepEqual(error.errors, { 'address.city': 'must be of type string' })
+      return true
+    })
+  })
+
+  it('keeps an observable map of errors', () => {
+    const user = User()
+    const errors = User.errors(user)
+    let tracker = null
+    new Observer(() => { tracker = errors.get('age') })()
+    assert.throws(() => { user.age = -5 })
+    assert.equal(tracker, 'must not be negative')
+    user.age = 5
+    assert.equal(tracker, undefined)
+    assert.equal(errors.size, 0)
+  })
+
+  it('throws on unknown types', () => {
+    assert.throws(() => model({ foo: 'strnig' }), {
+      name: 'TypeError',
+      message: 'Unknown type strnig for foo'
+    })
+  })
+})
+
+describe('Debug', () => {
+  it('lists the dependencies of Observers and Computed values', () => {
+    const todos = new Reactor({ items: [] }, { name: 'todos' })
+    const filter = new Signal('all', { name: 'filter' })
+    const visible = computed(() => filter() + todos.items.length, { name: 'visible' })
+    const render = new Observer(() => visible(), { name: 'render' })
+    render()
+    assert.deepEqual(
+      debug.getDependencies(visible).map(node => node.name).sort(),
+      ['filter', 'todos.items', 'todos.items.length']
+    )
+    assert.deepEqual(
+      debug.getDependencies(render).map(({ kind, name }) => ({ kind, name })),
+      [{ kind: 'computed', name: 'visible' }]
+    )
+  })
+
+  it('lists the dependents of Signals and Reactor properties', () => {
+    const reactor = new Reactor({ foo: 1, bar: 2 })
+    const signal = new Signal(0)
+    const first = new Observer(() => reactor.foo + signal(), { name: 'first' })
+    const second = new Observer(function second () { return reactor.bar })
+    first()
+    second()
+    assert.deepEqual(debug.getDependents(reactor, 'foo').map(node => node.name), ['first'])
+    assert.deepEqual(debug.getDependents(signal).map(node => node.name), ['first'])
+    assert.deepEqual(
+      debug.getDependents(reactor).map(node => node.name).sort(),
+      ['first', 'second']
+    )
+    second.stop()
+    assert.deepEqual(debug.getDependents(reactor, 'bar'), [])
+  })
+
+  it('lists the dependents of Map keys', () => {
+    const map = new Reactor(new Map())
+    const observer = new Observer(() => map.get('a'), { name: 'reader' })
+    observer()
+    assert.deepEqual(debug.getDependents(map, 'a').map(node => node.name), ['reader'])
+    assert.deepEqual(debug.getDependents(map, 'b'), [])
+  })
+
+  it('gives nodes the same id across calls', () => {
+    const signal = new Signal(0)
+    const observer = new Observer(() => signal())
+    observer()
+    const [node] = debug.getDependents(signal)
+    assert.equal(debug.getDependents(signal)[0].id, node.id)
+    assert.equal(debug.getGraph(observer).nodes.find(other => other.kind === 'observer').id, node.id)
+  })
+
+  it('keeps the ids of Reactor properties when dependencies are rebuilt', () => {
+    const reactor = new Reactor({ foo: 1 })
+    const observer = new Observer(() => reactor.foo)
+    observer()
+    const [before] = debug.getDependencies(observer)
+    reactor.foo = 2
+    const [after] = debug.getDependencies(observer)
+    assert.deepEqual(after, before)
+  })
+
+  it('exports the connected graph', () => {
+    const a = new Signal(1, { name: 'a' })
+    const double = computed(() => a() * 2, { name: 'double' })
+    const log = new Observer(() => double(), { name: 'log' })
+    log()
+    const graph = debug.getGraph(a)
+    const names = Object.fromEntries(graph.nodes.map(node => [node.id, node.name]))
+    assert.deepEqual(
+      graph.nodes.map(({ kind, name }) => ({ kind, name })),
+      [
+        { kind: 'signal', name: 'a' },
+        { kind: 'computed', name: 'double' },
+        { kind: 'observer', name: 'log' }
+      ]
+    )
+    assert.deepEqual(
+      graph.edges.map(edge => names[edge.from] + ' -> ' + names[edge.to]),
+      ['a -> double', 'double -> log']
+    )
+    assert.deepEqual(
+      debug.getGraph(log).nodes.map(node => node.id).sort(),
+      graph.nodes.map(node => node.id).sort()
+    )
+  })
+
+  it('exports graphs as DOT', () => {
+    const a = new Signal(1, { name: 'a' })
+    const log = new Observer(() => a(), { name: 'log "main"' })
+    log()
+    const graph = debug.getGraph(log)
+    const [observerNode, signalNode] = graph.nodes
+    assert.equal(debug.toDot(graph), [
+      'digraph {',
+      '  ' + observerNode.id + ' [label="log \\"main\\"" shape=box]',
+      '  ' + signalNode.id + ' [label="a" shape=ellipse]',
+      '  ' + signalNode.id + ' -> ' + observerNode.id,
+      '}'
+    ].join('\n'))
+  })
+
+  it('names things for error messages', () => {
+    const reactor = debug.setName(new Reactor({ count: 0 }), 'counter')
+    const observer = new Observer(() => {
+      reactor.count = reactor.count + 1
+    })
+    debug.setName(observer, 'increment')
+    assert.throws(() => observer(), {
+      name: 'LoopError',
+      message: 'Observer "increment" triggered itself by writing to counter.count'
+    })
+  })
+
+  it('throws when inspecting something which is not reactive', () => {
+    assert.throws(() => debug.getDependents({}), {
+      name: 'TypeError',
+      message: 'Cannot inspect something which is not reactive'
+    })
+    assert.throws(() => debug.getDependencies(new Signal()), {
+      name: 'TypeError',
+      message: 'Cannot get dependencies of something which is not an Observer or Computed'
+    })
+    assert.throws(() => debug.setName({}, 'name'), {
+      name: 'TypeError',
+      message: 'Cannot name something which is not reactive'
+    })
+  })
+})
+
+describe('Tracing', () => {
+  afterEach(() => setTracing(false))
+
+  it('records nothing while off', () => {
+    const reactor = new Reactor({ foo: 1 })
+    const observer = new Observer(() => reactor.foo)
+    observer()
+    reactor.foo = 2
+    assert.equal(observer.lastTrigger, null)
+  })
+
+  it('records the property write which triggered an observer', () => {
+    setTracing(true)
+    const reactor = new Reactor({ foo: 1 }, { name: 'store' })
+    const observer = new Observer(() => reactor.foo, { name: 'reader' })
+    observer()
+    assert.deepEqual(observer.lastTrigger, {
+      observer: 'Observer "reader"',
+      source: null,
+      via: [],
+      batched: false
+    })
+    reactor.foo = 2
+    assert.equal(observer.lastTrigger.source.reactor, reactor)
+    assert.equal(observer.lastTrigger.source.property, 'foo')
+    assert.equal(observer.lastTrigger.source.name, 'store.foo')
+    assert.equal(observer.lastTrigger.batched, false)
+  })
+
+  it('records the Signal write which triggered an observer', () => {
+    setTracing(true)
+    const signal = new Signal(1, { name: 'count' })
+    const observer = new Observer(() => signal())
+    observer()
+    signal(2)
+    assert.deepEqual(observer.lastTrigger.source, { signal, name: 'count' })
+  })
+
+  it('records the chain of observers and computed values in between', () => {
+    setTracing(true)
+    const signal = new Signal(1, { name: 'a' })
+    const double = computed(() => signal() * 2, { name: 'double' })
+    const first = new Observer(() => double(), { name: 'first' })
+    const second = new Observer(() => first.value, { name: 'second' })
+    first()
+    second()
+    signal(2)
+    assert.equal(second.value, 4)
+    assert.equal(second.lastTrigger.source.signal, signal)
+    assert.deepEqual(second.lastTrigger.via, ['Computed "double"', 'Observer "first"'])
+  })
+
+  it('records writes held back by a batch', () => {
+    setTracing(true)
+    const reactor = new Reactor({ foo: 1 })
+    const map = new Reactor(new Map())
+    const observer = new Observer(() => reactor.foo)
+    const mapObserver = new Observer(() => map.get('key'))
+    observer()
+    mapObserver()
+    batch(() => { reactor.foo = 2 })
+    assert.equal(observer.lastTrigger.batched, true)
+    map.set('key', 1)
+    assert.equal(mapObserver.lastTrigger.source.property, 'key')
+    assert.equal(mapObserver.lastTrigger.batched, false)
+  })
+
+  it('tells the trace listener about every run', () => {
+    const traces = []
+    setTracing(trace => traces.push(trace))
+    const reactor = new Reactor({ foo: 1 })
+    const observer = new Observer(() => reactor.foo, { name: 'reader' })
+    observer()
+    reactor.foo = 2
+    assert.deepEqual(traces.map(trace => trace.source && trace.source.name), [null, 'foo'])
+    assert.equal(traces[1], observer.lastTrigger)
+    setTracing(false)
+    reactor.foo = 3
+    assert.equal(traces.length, 2)
+  })
+
+  it('throws on invalid options', () => {
+    assert.throws(() => setTracing('on'), {
+      name: 'TypeError',
+      message: 'Tracing can only be set to a boolean or a function'
+    })
+  })
+})
+
+describe('Profiling', () => {
+  afterEach(() => {
+    setProfiling(false)
+    resetProfile()
+  })
+
+  it('counts nothing while off', () => {
+    const reactor = new Reactor({ foo: 1 })
+    new Observer(() => reactor.foo)()
+    reactor.foo = 2
+    assert.deepEqual(getProfile(), { observers: [], properties: [] })
+  })
+
+  it('counts observer runs and their dependencies', () => {
+    setProfiling(true)
+    const reactor = new Reactor({ foo: 1, bar: 2 })
+    const observer = new Observer(() => reactor.foo + reactor.bar, { name: 'sum' })
+    observer()
+    reactor.foo = 3
+    const [stats] = getProfile().observers
+    assert.equal(stats.name, 'Observer "sum"')
+    assert.equal(stats.runs, 2)
+    assert.equal(stats.dependencies, 2)
+    assert(stats.totalTime >= stats.lastTime)
+    assert(stats.lastTime >= 0)
+  })
+
+  it('counts reads and writes of Reactor properties', () => {
+    setProfiling(true)
+    const reactor = new Reactor({ foo: 1, bar: 2 }, { name: 'store' })
+    const map = new Reactor(new Map(), { name: 'map' })
+    new Observer(() => reactor.foo + reactor.foo + (map.get('key') || 0))()
+    reactor.foo = 2
+    reactor.bar = 3
+    map.set('key', 1)
+    assert.deepEqual(getProfile().properties, [
+      { name: 'store.foo', reads: 6, writes: 1 },
+      { name: 'map.key', reads: 3, writes: 1 },
+      { name: 'store.bar', reads: 0, writes: 1 }
+    ])
+  })
+
+  it('sorts observers by total time', () => {
+    setProfiling(true)
+    const signal = new Signal(0)
+    new Observer(() => signal(), { name: 'light' })()
+    new Observer(() => {
+      const start = Date.now()
+      while (Date.now() - start < 5) signal()
+    }, { name: 'heavy' })()
+    assert.deepEqual(
+      getProfile().observers.map(stats => stats.name),
+      ['Observer "heavy"', 'Observer "light"']
+    )
+  })
+
+  it('profiles a block of code from a fresh start', () => {
+    setProfiling(true)
+    const reactor = new Reactor({ foo: 1 })
+    const observer = new Observer(() => reactor.foo)
+    observer()
+    const report = profile(() => { reactor.foo = 2 })
+    assert.equal(report.observers[0].runs, 1)
+    assert.deepEqual(report.properties, [{ name: 'foo', reads: 1, writes: 1 }])
+  })
+
+  it('stops profiling after the block if it was off', async () => {
+    const reactor = new Reactor({ foo: 1 })
+    const observer = new Observer(() => reactor.foo)
+    observer()
+    const report = await profile(async () => {
+      await Promise.resolve()
+      reactor.foo = 2
+    })
+    assert.equal(report.observers[0].runs, 1)
+    resetProfile()
+    reactor.foo = 3
+    assert.deepEqual(getProfile().observers, [])
+  })
+
+  it('resets the counts', () => {
+    setProfiling(true)
+    new Observer(() => {})()
+    resetProfile()
+    assert.deepEqual(getProfile().observers, [])
+    assert.throws(() => setProfiling('on'), {
+      name: 'TypeError',
+      message: 'Profiling can only be set to a boolean'
+    })
+  })
+})
+
+describe('Observer', () => {
+  it('passes instanceof checks', () => {
+    const a = new Observer(() => {})
+    assert(a instanceof Observer)
+    assert(a instanceof Function)
+  })
+
+  it('can be used as a constructor', () => {
+    const A = new Observer(function (arg) {
+      this.foo = 'bar' + arg
+      return this
+    })
+    const a = new A('baz')
+    assert.equal(JSON.stringify(a), '{"foo":"barbaz"}')
+  })
+
+  it('initializes function without error', () => new Observer(() => {}))
+
+  it('passed correct value of this to observer', () => {
+    let aResult
+    const a = new Observer(function () { aResult = this })
+    let barResult
+    const foo = {
+      a,
+      bar: function () { barResult = this }
+    }
+    foo.a()
+    foo.bar()
+    assert.equal(foo, aResult)
+    assert.equal(foo, barResult)
+    assert.equal(aResult, barResult)
+  })
+
+  it('fails to initialize with no argument', () => {
+    assert.throws(() => new Observer(), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+  })
+
+  it('fails to initialize with non-function', () => {
+    assert.throws(() => new Observer(true), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer(false), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer(null), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer(undefined), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer(1), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer(0), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer('a'), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer(''), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer(Symbol('dummyTest')), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer({}), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+    assert.throws(() => new Observer([]), {
+      name: 'TypeError',
+      message: 'Cannot create observer with a non-function'
+    })
+  })
+
+  it('exposes the raw function as execute', () => {
+    const dummyFunction = function () {
+      return 'foo'
+    }
+    const observer = new Observer(dummyFunction)
+    assert.equal(observer.execute, dummyFunction)
+  })
+
+  it('exposes the last derived value', () => {
+    const rx = new Reactor({
+      foo: 'foo'
+    })
+    const observer = new Observer(() => {
+      return rx.foo
+    })
+    assert(typeof observer.value === 'undefined')
+    observer()
+    assert.equal(observer.value, 'foo')
+    rx.foo = 'bar'
+    assert.equal(observer.value, 'bar')
+  })
+
+  it('returns the function return value', () => {
+    const observer = new Observer(() => 'foo')
+    assert.equal(observer(), 'foo')
+  })
+
+  it('can observe an observer', () => {
+    let outcome
+    const rx = new Reactor({
+      foo: 'foo'
+    })
+    const a = new Observer(() => rx.foo + 'bar')
+    a()
+    const b = new Observer(() => (outcome = a.value + 'baz'))
+    b()
+    assert.equal(outcome, 'foobarbaz')
+    rx.foo = 'qux'
+    assert.equal(outcome, 'quxbarbaz')
+  })
+
+  describe('Triggering', () => {
+    it('triggers once on initialization', () => {
+      let counter = 0
+      new Observer(() => { counter += 1 })()
+      assert.equal(counter, 1)
+    })
+
+    it('triggers once on Reactor dependency write', () => {
+      let counter = 0
+      let tracker
+      const reactor = new Reactor({
+        foo: 'bar'
+      })
+      new Observer(() => {
+        counter += 1
+        tracker = reactor.foo
+      })()
+      assert.equal(counter, 1)
+      assert.equal(tracker, 'bar')
+      reactor.foo = 'mux'
+      assert.equal(counter, 2)
+      assert.equal(tracker, 'mux')
+    })
+
+    it('triggers once on nested Reactor dependency write', () => {
+      let counter = 0
+      let tracker
+      const reactor = new Reactor({
+        foo: {
+          bar: 'baz'
+        }
+      })
+      new Observer(() => {
+        counter += 1
+        tracker = reactor.foo.bar
+      })()
+      assert.equal(counter, 1)
+      assert.equal(tracker, 'baz')
+      reactor.foo.bar = 'moo'
+      assert.equal(counter, 2)
+      assert.equal(tracker, 'moo')
+    })
+
+    it('triggers on defineProperty', () => {
+      let tracker
+      const reactor = new Reactor({
+        foo: 'bar'
+      })
+      new Observer(() => (tracker = reactor.foo))()
+      assert.equal(tracker, 'bar')
+      Object.defineProperty(reactor, 'foo', {
+        get () { return 'baz' }
+      })
+      assert.equal(tracker, 'baz')
+    })
+
+    it('trigger on deleteProperty', () => {
+      let tracker
+      const reactor = new Reactor({
+        foo: 'bar'
+      })
+      new Observer(() => (tracker = reactor.foo))()
+      assert.equal(tracker, 'bar')
+      delete reactor.foo
+      assert.equal(tracker, undefined)
+    })
+
+    it('triggers on array update methods', () => {
+      let counter = 0
+      let tracker
+      const reactor = new Reactor([])
+      new Observer(() => {
+        counter += 1
+        tracker = reactor[0]
+      })()
+      assert.equal(counter, 1)
+      assert.equal(tracker, undefined)
+      reactor.push('foo')
+      assert.equal(counter, 2)
+      assert.equal(tracker, 'foo')
+      reactor.unshift('bar')
+      assert.equal(counter, 3)
+      assert.equal(tracker, 'bar')
+    })
+
+    it('triggers only once despite multiple dependencies', () => {
+      let counter = 0
+      let hasTracker
+      let getTracker
+      let ownKeysTracker
+      const reactor = new Reactor({
+        foo: 'bar'
+      })
+      new Observer(() => {
+        counter += 1
+        hasTracker = ('foo' in reactor)
+        getTracker = reactor.foo
+        ownKeysTracker = Object.getOwnPropertyNames(reactor)
+      })()
+      assert.equal(counter, 1)
+      assert.equal(hasTracker, true)
+      assert.equal(getTracker, 'bar')
+      assert.equal(JSON.stringify(ownKeysTracker), '["foo"]')
+      reactor.foo = 'baz'
+      assert.equal(counter, 2)
+      assert.equal(hasTracker, true)
+      assert.equal(getTracker, 'baz')
+      assert.equal(JSON.stringify(ownKeysTracker), '["foo"]')
+    })
+
+    it('triggers only once even for functions with multiple changes', () => {
+      let counter = 0
+      let lengthTracker
+      let firstTracker
+      const reactor = new Reactor([])
+      new Observer(() => {
+        counter += 1
+        lengthTracker = reactor.length
+        firstTracker = reactor[0]
+      })()
+      assert.equal(counter, 1)
+      assert.equal(lengthTracker, 0)
+      assert.equal(firstTracker, undefined)
+      reactor.push('bar')
+      assert.equal(counter, 2)
+      assert.equal(lengthTracker, 1)
+      assert.equal(firstTracker, 'bar')
+    })
+
+    it('triggers correctly on nested observer definitions', () => {
+      const reactor = new Reactor({
+        outer: 'foo',
+        inner: 'bar'
+      })
+      let outerCounter = 0
+      let innerCounter = 0
+      let outerTracker
+      let innerTracker
+      let innerObserver
+      new Observer(() => {
+        outerCounter += 1
+        outerTracker = reactor.outer
+        if (innerObserver) innerObserver.stop()
+        innerObserver = new Observer(() => {
+          innerCounter += 1
+          innerTracker = reactor.inner
+        })()
+      })()
+      assert.equal(outerCounter, 1)
+      assert.equal(outerTracker, 'foo')
+      assert.equal(innerCounter, 1)
+      assert.equal(innerTracker, 'bar')
+      reactor.inner = 'baz'
+      assert.equal(outerCounter, 1)
+      assert.equal(outerTracker, 'foo')
+      assert.equal(innerCounter, 2)
+      assert.equal(innerTracker, 'baz')
+      reactor.outer = 'moo'
+      assert.equal(outerCounter, 2)
+      assert.equal(outerTracker, 'moo')
+      assert.equal(innerCounter, 3)
+      assert.equal(innerTracker, 'baz')
+    })
+
+    it('subscribes on Object.keys', () => {
+      let counter = 0
+      let tracker
+      const reactor = new Reactor({ foo: 'bar' })
+      new Observer(() => {
+        counter += 1
+        tracker = Object.keys(reactor)
+      })()
+      assert.equal(counter, 1)
+      assert.equal(JSON.stringify(tracker), '["foo"]')
+      reactor.moo = 'mux'
+      assert.equal(counter, 2)
+      assert.equal(JSON.stringify(tracker), '["foo","moo"]')
+    })
+
+    it('subscribes on in operator', () => {
+      let counter = 0
+      let tracker
+      const reactor = new Reactor()
+      new Observer(() => {
+        counter += 1
+        tracker = ('foo' in reactor)
+      })()
+      assert.equal(counter, 1)
+      assert.equal(tracker, false)
+      reactor.foo = 'bar'
+      assert.equal(counter, 2)
+      assert.equal(tracker, true)
+    })
+
+    it('subscribes using observe keyword', () => {
+      let counter = 0
+      let tracker
+      const reactor = new Reactor({ value: 'foo' })
+      new Observer(() => {
+        counter += 1
+        tracker = reactor.value
+      })()
+      assert.equal(counter, 1)
+      assert.equal(tracker, 'foo')
+      reactor.value = 'bar'
+      assert.equal(counter, 2)
+      assert.equal(tracker, 'bar')
+    })
+
+    it('does not subscribe in hide block', () => {
+      const reactor = new Reactor({
+        outer: 'foo',
+        inner: 'bar'
+      })
+      let outerCounter = 0
+      let innerCounter = 0
+      let outerTracker
+      let innerTracker
+      new Observer(() => {
+        outerCounter += 1
+        outerTracker = reactor.outer
+        hide(() => {
+          innerCounter += 1
+          innerTracker = reactor.inner
+        })
+      })()
+      assert.equal(outerCounter, 1)
+      assert.equal(innerCounter, 1)
+      assert.equal(outerTracker, 'foo')
+      assert.equal(innerTracker, 'bar')
+      reactor.inner = 'baz'
+      assert.equal(outerCounter, 1)
+      assert.equal(innerCounter, 1)
+      assert.equal(outerTracker, 'foo')
+      assert.equal(innerTracker, 'bar')
+      reactor.outer = 'moo'
+      assert.equal(outerCounter, 2)
+      assert.equal(innerCounter, 2)
+      assert.equal(outerTracker, 'moo')
+      assert.equal(innerTracker, 'baz')
+    })
+
+    it('returns output of hide block', () => {
+      const reactor = new Reactor({
+        outer: 'foo',
+        inner: 'bar'
+      })
+      let outerCounter = 0
+      let innerCounter = 0
+      let outerTracker
+      let innerTracker
+      new Observer(() => {
+        outerCounter += 1
         outerTracker = reactor.outer
-        if (innerObserver) innerObserver.stop()
-        innerObserver = new Observer(() => {
+        innerTracker = hide(() => {
           innerCounter += 1
-          innerTracker = reactor.inner
-        })()
+          return reactor.inner
+        })
       })()
       assert.equal(outerCounter, 1)
-      assert.equal(outerTracker, 'foo')
       assert.equal(innerCounter, 1)
+      assert.equal(outerTracker, 'foo')
       assert.equal(innerTracker, 'bar')
       reactor.inner = 'baz'
       assert.equal(outerCounter, 1)
+      assert.equal(innerCounter, 1)
       assert.equal(outerTracker, 'foo')
-      assert.equal(innerCounter, 2)
-      assert.equal(innerTracker, 'baz')
+      assert.equal(innerTracker, 'bar')
       reactor.outer = 'moo'
       assert.equal(outerCounter, 2)
+      assert.equal(innerCounter, 2)
       assert.equal(outerTracker, 'moo')
-      assert.equal(innerCounter, 3)
       assert.equal(innerTracker, 'baz')
     })
 
-    it('subscribes on Object.keys', () => {
+    it('does not self trigger in an hide block', () => {
+      const reactor = new Reactor(['a', 'b', 'c'])
+      new Observer(() => {
+        hide(() => reactor.pop())
+      })()
+    })
+
+    it('can redefine an observer', () => {
+      const reactor = new Reactor({
+        first: 'foo',
+        second: 'bar'
+      })
+      let firstCounter = 0
+      let secondCounter = 0
+      let firstTracker
+      let secondTracker
+      const observer = new Observer(() => {
+        firstCounter += 1
+        firstTracker = reactor.first
+      })
+      observer()
+      assert.equal(firstCounter, 1)
+      assert.equal(secondCounter, 0)
+      assert.equal(firstTracker, 'foo')
+      assert.equal(secondTracker, undefined)
+      observer.execute = () => {
+        secondCounter += 1
+        secondTracker = reactor.second
+      }
+      assert.equal(firstCounter, 1)
+      assert.equal(secondCounter, 1)
+      assert.equal(firstTracker, 'foo')
+      assert.equal(secondTracker, 'bar')
+      reactor.first = 'moo'
+      assert.equal(firstCounter, 1)
+      assert.equal(secondCounter, 1)
+      assert.equal(firstTracker, 'foo')
+      assert.equal(secondTracker, 'bar')
+      reactor.second = 'baz'
+      assert.equal(firstCounter, 1)
+      assert.equal(secondCounter, 2)
+      assert.equal(firstTracker, 'foo')
+      assert.equal(secondTracker, 'baz')
+    })
+
+    it('delays and combines observer triggers when using batch', () => {
+      const reactor = new Reactor({ value: 'foo' })
+      let counter = 0
+      new Observer(() => {
+        counter += 1
+        return reactor.value
+      })()
+      assert.equal(counter, 1)
+      batch(() => {
+        reactor.value = 'bleep'
+        assert.equal(counter, 1)
+        reactor.value = 'bloop'
+        assert.equal(counter, 1)
+        reactor.value = 'blarp'
+        assert.equal(counter, 1)
+      })
+      assert.equal(counter, 2)
+    })
+
+    it('can nest batchers with no consequence', () => {
+      const reactor = new Reactor({ value: 'foo' })
+      let counter = 0
+      new Observer(() => {
+        counter += 1
+        return reactor.value
+      })()
+      assert.equal(counter, 1)
+      batch(() => {
+        reactor.value = 'bleep'
+        assert.equal(counter, 1)
+        reactor.value = 'bloop'
+        assert.equal(counter, 1)
+        reactor.value = 'blarp'
+        assert.equal(counter, 1)
+        batch(() => {
+          reactor.value = 'bink'
+          assert.equal(counter, 1)
+          reactor.value = 'bonk'
+          assert.equal(counter, 1)
+          reactor.value = 'bup'
+          assert.equal(counter, 1)
+        })
+      })
+      assert.equal(counter, 2)
+    })
+
+    it('triggers chained observers', () => {
+      let tracker
+      const reactor = new Reactor({
+        foo: 'bar'
+      })
+      new Observer(() => {
+        reactor.bigFoo = reactor.foo.toUpperCase()
+      })()
+      assert.equal(reactor.bigFoo, 'BAR')
+      new Observer(() => {
+        tracker = reactor.bigFoo
+      })()
+      assert.equal(tracker, 'BAR')
+      reactor.foo = 'qux'
+      assert.equal(reactor.bigFoo, 'QUX')
+      assert.equal(tracker, 'QUX')
+    })
+
+    it('does not redundantly trigger on setting identical values', () => {
+      let counter = 0
+      let tracker
+      const reactor = new Reactor({
+        foo: 'bar'
+      })
+      new Observer(() => {
+        counter += 1
+        tracker = reactor.foo
+      })()
+      assert.equal(counter, 1)
+      assert.equal(tracker, 'bar')
+      reactor.foo = 'bar'
+      assert.equal(counter, 1)
+      assert.equal(tracker, 'bar')
+    })
+
+    it('does not redundantly trigger if has check remains the same', () => {
+      let counter = 0
+      let tracker
+      const reactor = new Reactor({
+        foo: 'bar'
+      })
+      new Observer(() => {
+        counter += 1
+        tracker = 'foo' in reactor
+      })()
+      assert.equal(counter, 1)
+      assert.equal(tracker, true)
+      reactor.foo = 'baz'
+      assert.equal(counter, 1)
+      assert.equal(tracker, true)
+    })
+
+    it('does not redundantly trigger if ownKeys check is the same', () => {
+      let counter = 0
+      const reactor = new Reactor({
+        foo: 'bar'
+      })
+      new Observer(() => {
+        counter += 1
+        Object.keys(reactor)
+      })()
+      reactor.foo = 'baz'
+      assert.equal(counter, 1)
+      delete reactor.boo
+      assert.equal(counter, 1)
+      delete reactor.foo
+      assert.equal(counter, 2)
+      reactor.foo = 'bar'
+      assert.equal(counter, 3)
+    })
+
+    it('subscribes to array iteration', () => {
+      let tracker
+      const reactor = new Reactor([1, 2])
+      const observer = new Observer(() => {
+        tracker = []
+        for (const value of reactor) tracker.push(value)
+      })
+      observer()
+      assert(debug.getDependencies(observer).some(node => node.name === 'keys'))
+      reactor.push(3)
+      assert.deepEqual(tracker, [1, 2, 3])
+      reactor[0] = 0
+      assert.deepEqual(tracker, [0, 2, 3])
+      reactor.splice(1, 1)
+      assert.deepEqual(tracker, [0, 3])
+    })
+
+    it('subscribes to array search methods', () => {
+      let tracker
+      const reactor = new Reactor(['a'])
+      const observer = new Observer(() => { tracker = reactor.includes('b') })
+      observer()
+      assert(debug.getDependencies(observer).some(node => node.name === 'keys'))
+      assert.equal(tracker, false)
+      reactor.push('b')
+      assert.equal(tracker, true)
+      reactor.length = 0
+      assert.equal(tracker, false)
+    })
+
+    it('subscribes to the length when indexes are added directly', () => {
+      let counter = 0
+      let tracker
+      const reactor = new Reactor([])
+      new Observer(() => {
+        counter += 1
+        tracker = reactor.length
+      })()
+      reactor[reactor.length] = 'a'
+      assert.equal(tracker, 1)
+      reactor[5] = 'b'
+      assert.equal(tracker, 6)
+      reactor[0] = 'c'
+      assert.equal(counter, 3)
+    })
+
+    it('subscribes to indexes dropped by shortening the length', () => {
+      let tracker
+      const reactor = new Reactor(['a', 'b'])
+      new Observer(() => { tracker = reactor[1] })()
+      reactor.length = 1
+      assert.equal(tracker, undefined)
+    })
+
+    it('subscribes to object iteration', () => {
+      let keysCounter = 0
+      let valuesTracker
+      const reactor = new Reactor({ foo: 1 })
+      new Observer(() => {
+        keysCounter += 1
+        for (const key in reactor) assert(key)
+      })()
+      new Observer(() => { valuesTracker = Object.values(reactor) })()
+      reactor.foo = 2
+      assert.equal(keysCounter, 1)
+      assert.deepEqual(valuesTracker, [2])
+      reactor.bar = 3
+      assert.equal(keysCounter, 2)
+      assert.deepEqual(valuesTracker, [2, 3])
+      delete reactor.foo
+      assert.equal(keysCounter, 3)
+      assert.deepEqual(valuesTracker, [3])
+    })
+  })
+
+  describe('Propagation', () => {
+    it('triggers each observer once in a diamond', () => {
+      const reactor = new Reactor({ value: 1 })
+      const b = new Observer(() => reactor.value * 2)
+      const c = new Observer(() => reactor.value * 3)
+      b()
+      c()
+      const seen = []
+      new Observer(() => {
+        seen.push([b.value, c.value])
+      })()
+      reactor.value = 2
+      assert.equal(JSON.stringify(seen), '[[2,3],[4,6]]')
+    })
+
+    it('does not show observers a mix of old and new values', () => {
+      const reactor = new Reactor({ first: 'John', last: 'Smith' })
+      const first = new Observer(() => reactor.first)
+      const full = new Observer(() => first.value + ' ' + reactor.last)
+      first()
+      full()
+      const seen = []
+      new Observer(() => seen.push(full.value + '/' + first.value))()
+      reactor.first = 'Jane'
+      assert.equal(JSON.stringify(seen), '["John Smith/John","Jane Smith/Jane"]')
+    })
+
+    it('runs upstream observers first regardless of creation order', () => {
+      const reactor = new Reactor({ value: 1 })
+      const order = []
+      let upstream = null
+      const downstream = new Observer(() => {
+        order.push('downstream')
+        return upstream ? upstream.value : null
+      })
+      upstream = new Observer(() => {
+        order.push('upstream')
+        return reactor.value
+      })
+      downstream()
+      const sibling = new Observer(() => {
+        order.push('sibling')
+        return reactor.value + downstream.value
+      })
+      upstream()
+      sibling()
+      order.length = 0
+      reactor.value = 2
+      assert.equal(JSON.stringify(order), '["upstream","downstream","sibling"]')
+    })
+
+    it('runs a wide schedule in height order', () => {
+      const signal = new Signal(0)
+      const levels = []
+      const order = []
+      for (let level = 0; level < 20; level++) {
+        levels.push(new Observer(() => {
+          order.push(level)
+          return signal() + (level > 0 ? levels[level - 1].value : 0)
+        }))
+      }
+      // Start them in reverse so they are scheduled highest first
+      for (let level = 19; level >= 0; level--) levels[level]()
+      // Plenty of siblings at the lowest height to fill the schedule
+      for (let index = 0; index < 100; index++) new Observer(() => signal())()
+      order.length = 0
+      signal(1)
+      assert.equal(order.join(), Array.from({ length: 20 }, (_, level) => level).join())
+      assert.equal(levels[19].value, 20)
+    })
+
+    it('triggers observers once per write through several levels', () => {
+      const signal = new Signal(1)
+      const counters = [0, 0, 0]
+      const a = new Observer(() => {
+        counters[0] += 1
+        return signal() + 1
+      })
+      const b = new Observer(() => {
+        counters[1] += 1
+        return a.value + signal()
+      })
+      a()
+      b()
+      new Observer(() => {
+        counters[2] += 1
+        return a.value + b.value + signal()
+      })()
+      signal(2)
+      assert.equal(JSON.stringify(counters), '[2,2,2]')
+    })
+
+    it('still triggers observers when a batch throws', () => {
+      let tracker
+      const reactor = new Reactor({ value: 'foo' })
+      new Observer(() => (tracker = reactor.value))()
+      assert.throws(() => batch(() => {
+        reactor.value = 'bar'
+        throw new Error('dummy error')
+      }), { message: 'dummy error' })
+      assert.equal(tracker, 'bar')
+    })
+  })
+
+  describe('Scheduling', () => {
+    // Scheduler which holds callbacks until they are manually flushed
+    const manualScheduler = () => {
+      const callbacks = []
+      const scheduler = (callback) => callbacks.push(callback)
+      scheduler.flush = () => callbacks.splice(0).forEach(callback => callback())
+      scheduler.pending = () => callbacks.length
+      return scheduler
+    }
+
+    it('fails to initialize with an unknown scheduler', () => {
+      assert.throws(() => new Observer(() => {}, { scheduler: 'later' }), {
+        name: 'TypeError',
+        message: 'Unknown scheduler later'
+      })
+    })
+
+    it('runs the first trigger synchronously', () => {
+      let counter = 0
+      new Observer(() => { counter += 1 }, { scheduler: 'microtask' })()
+      assert.equal(counter, 1)
+    })
+
+    it('defers automatic triggers to a microtask', async () => {
       let counter = 0
       let tracker
-      const reactor = new Reactor({ foo: 'bar' })
+      const reactor = new Reactor({ value: 'foo' })
       new Observer(() => {
         counter += 1
-        tracker = Object.keys(reactor)
-      })()
+        tracker = reactor.value
+      }, { scheduler: 'microtask' })()
+      reactor.value = 'bar'
+      reactor.value = 'baz'
       assert.equal(counter, 1)
-      assert.equal(JSON.stringify(tracker), '["foo"]')
-      reactor.moo = 'mux'
+      assert.equal(tracker, 'foo')
+      await Promise.resolve()
       assert.equal(counter, 2)
-      assert.equal(JSON.stringify(tracker), '["foo","moo"]')
+      assert.equal(tracker, 'baz')
     })
 
-    it('subscribes on in operator', () => {
+    it('defers automatic triggers to an animation frame', async () => {
       let counter = 0
-      let tracker
-      const reactor = new Reactor()
+      const reactor = new Reactor({ value: 'foo' })
       new Observer(() => {
         counter += 1
-        tracker = ('foo' in reactor)
-      })()
+        return reactor.value
+      }, { scheduler: 'animationFrame' })()
+      reactor.value = 'bar'
       assert.equal(counter, 1)
-      assert.equal(tracker, false)
-      reactor.foo = 'bar'
+      await new Promise(resolve => setTimeout(resolve, 50))
       assert.equal(counter, 2)
-      assert.equal(tracker, true)
     })
 
-    it('subscribes using observe keyword', () => {
+    it('accepts a custom scheduler', () => {
       let counter = 0
       let tracker
+      const scheduler = manualScheduler()
       const reactor = new Reactor({ value: 'foo' })
       new Observer(() => {
         counter += 1
         tracker = reactor.value
-      })()
-      assert.equal(counter, 1)
-      assert.equal(tracker, 'foo')
+      }, { scheduler })()
       reactor.value = 'bar'
+      assert.equal(counter, 1)
+      scheduler.flush()
       assert.equal(counter, 2)
       assert.equal(tracker, 'bar')
     })
 
-    it('does not subscribe in hide block', () => {
-      const reactor = new Reactor({
-        outer: 'foo',
-        inner: 'bar'
-      })
-      let outerCounter = 0
-      let innerCounter = 0
-      let outerTracker
-      let innerTracker
+    it('deduplicates observers until the scheduler flushes', () => {
+      const counters = [0, 0]
+      const scheduler = manualScheduler()
+      const reactor = new Reactor({ first: 'foo', second: 'bar' })
       new Observer(() => {
-        outerCounter += 1
-        outerTracker = reactor.outer
-        hide(() => {
-          innerCounter += 1
-          innerTracker = reactor.inner
-        })
-      })()
-      assert.equal(outerCounter, 1)
-      assert.equal(innerCounter, 1)
-      assert.equal(outerTracker, 'foo')
-      assert.equal(innerTracker, 'bar')
-      reactor.inner = 'baz'
-      assert.equal(outerCounter, 1)
-      assert.equal(innerCounter, 1)
-      assert.equal(outerTracker, 'foo')
-      assert.equal(innerTracker, 'bar')
-      reactor.outer = 'moo'
-      assert.equal(outerCounter, 2)
-      assert.equal(innerCounter, 2)
-      assert.equal(outerTracker, 'moo')
-      assert.equal(innerTracker, 'baz')
+        counters[0] += 1
+        return reactor.first + reactor.second
+      }, { scheduler })()
+      new Observer(() => {
+        counters[1] += 1
+        return reactor.first
+      }, { scheduler })()
+      reactor.first = 'moo'
+      reactor.second = 'mux'
+      reactor.first = 'baz'
+      assert.equal(scheduler.pending(), 1)
+      scheduler.flush()
+      assert.equal(JSON.stringify(counters), '[2,2]')
+      scheduler.flush()
+      assert.equal(JSON.stringify(counters), '[2,2]')
     })
 
-    it('returns output of hide block', () => {
-      const reactor = new Reactor({
-        outer: 'foo',
-        inner: 'bar'
-      })
-      let outerCounter = 0
-      let innerCounter = 0
-      let outerTracker
-      let innerTracker
+    it('triggers synchronous observers downstream of scheduled ones', () => {
+      let tracker
+      const scheduler = manualScheduler()
+      const reactor = new Reactor({ value: 'foo' })
+      const upper = new Observer(() => reactor.value.toUpperCase(), { scheduler })
+      upper()
+      new Observer(() => (tracker = upper.value))()
+      reactor.value = 'bar'
+      assert.equal(tracker, 'FOO')
+      scheduler.flush()
+      assert.equal(tracker, 'BAR')
+    })
+
+    it('does not run stopped observers when the scheduler flushes', () => {
+      let counter = 0
+      const scheduler = manualScheduler()
+      const reactor = new Reactor({ value: 'foo' })
+      const observer = new Observer(() => {
+        counter += 1
+        return reactor.value
+      }, { scheduler })
+      observer()
+      reactor.value = 'bar'
+      observer.stop()
+      scheduler.flush()
+      assert.equal(counter, 1)
+    })
+
+    it('passes errors of scheduled observers to their error handlers', async () => {
+      const errors = []
+      const reactor = new Reactor({ value: 1 })
       new Observer(() => {
-        outerCounter += 1
-        outerTracker = reactor.outer
-        innerTracker = hide(() => {
-          innerCounter += 1
-          return reactor.inner
-        })
-      })()
-      assert.equal(outerCounter, 1)
-      assert.equal(innerCounter, 1)
-      assert.equal(outerTracker, 'foo')
-      assert.equal(innerTracker, 'bar')
-      reactor.inner = 'baz'
-      assert.equal(outerCounter, 1)
-      assert.equal(innerCounter, 1)
-      assert.equal(outerTracker, 'foo')
-      assert.equal(innerTracker, 'bar')
-      reactor.outer = 'moo'
-      assert.equal(outerCounter, 2)
-      assert.equal(innerCounter, 2)
-      assert.equal(outerTracker, 'moo')
-      assert.equal(innerTracker, 'baz')
+        if (reactor.value > 1) throw new Error('boom microtask')
+      }, { scheduler: 'microtask', onError: error => errors.push(error.message) })()
+      reactor.value = 2
+      assert.deepEqual(errors, [])
+      await Promise.resolve()
+      assert.deepEqual(errors, ['boom microtask'])
     })
 
-    it('does not self trigger in an hide block', () => {
-      const reactor = new Reactor(['a', 'b', 'c'])
+    it('throws errors nothing handles from the scheduler callback', () => {
+      const scheduler = manualScheduler()
+      const reactor = new Reactor({ value: 1 })
+      const observer = new Observer(() => {
+        if (reactor.value > 1) throw new Error('boom')
+      }, { scheduler })
+      observer()
+      assert.doesNotThrow(() => (reactor.value = 2))
+      assert.throws(() => scheduler.flush(), { message: 'boom' })
+      assert.equal(observer.error.message, 'boom')
+      assert.equal(observer.status, 'rejected')
+    })
+  })
+
+  describe('Async', () => {
+    // Promise which can be resolved or rejected from outside
+    const deferred = () => {
+      const result = {}
+      result.promise = new Promise((resolve, reject) => {
+        result.resolve = resolve
+        result.reject = reject
+      })
+      return result
+    }
+
+    it('reports status of synchronous observers', () => {
+      const reactor = new Reactor({ value: 1 })
+      const observer = new Observer(() => {
+        if (reactor.value > 1) throw new Error('dummy error')
+        return reactor.value
+      })
+      assert.equal(observer.status, 'idle')
+      observer()
+      assert.equal(observer.status, 'resolved')
+      assert(typeof observer.error === 'undefined')
+      assert.throws(() => (reactor.value = 2), { message: 'dummy error' })
+      assert.equal(observer.status, 'rejected')
+      assert.equal(observer.error.message, 'dummy error')
+      assert.equal(observer.value, 1)
+    })
+
+    it('stores the resolved value instead of the promise', async () => {
+      const observer = new Observer(async () => 'foo')
+      const promise = observer()
+      assert(promise instanceof Promise)
+      assert.equal(observer.status, 'pending')
+      assert(typeof observer.value === 'undefined')
+      assert.equal(await promise, 'foo')
+      assert.equal(observer.status, 'resolved')
+      assert.equal(observer.value, 'foo')
+    })
+
+    it('stores the rejection as the error', async () => {
+      const error = new Error('dummy error')
+      const observer = new Observer(async () => { throw error })
+      await assert.rejects(observer(), { message: 'dummy error' })
+      assert.equal(observer.status, 'rejected')
+      assert.equal(observer.error, error)
+    })
+
+    it('tracks reads before the first await', async () => {
+      let counter = 0
+      const reactor = new Reactor({ value: 'foo' })
+      const observer = new Observer(async () => {
+        counter += 1
+        const value = reactor.value
+        await Promise.resolve()
+        return value
+      })
+      await observer()
+      reactor.value = 'bar'
+      assert.equal(counter, 2)
+      await new Promise(resolve => setTimeout(resolve))
+      assert.equal(observer.value, 'bar')
+    })
+
+    it('does not track reads after an await by default', async () => {
+      let counter = 0
+      const reactor = new Reactor({ value: 'foo' })
+      const observer = new Observer(async () => {
+        counter += 1
+        await Promise.resolve()
+        return reactor.value
+      })
+      await observer()
+      reactor.value = 'bar'
+      assert.equal(counter, 1)
+    })
+
+    it('tracks reads after an await with trackedContext', async () => {
+      let counter = 0
+      const reactor = new Reactor({ value: 'foo' })
+      const observer = new Observer(async () => {
+        counter += 1
+        const tracked = trackedContext()
+        await Promise.resolve()
+        return tracked(() => reactor.value)
+      })
+      await observer()
+      assert.equal(observer.value, 'foo')
+      reactor.value = 'bar'
+      assert.equal(counter, 2)
+      await new Promise(resolve => setTimeout(resolve))
+      assert.equal(observer.value, 'bar')
+    })
+
+    it('ignores stale runs', async () => {
+      const reactor = new Reactor({ value: 'first' })
+      const pending = {}
+      const observer = new Observer(async () => {
+        const value = reactor.value
+        pending[value] = deferred()
+        return value + (await pending[value].promise)
+      })
+      observer()
+      reactor.value = 'second'
+      pending.second.resolve('!')
+      await new Promise(resolve => setTimeout(resolve))
+      assert.equal(observer.value, 'second!')
+      pending.first.resolve('?')
+      await new Promise(resolve => setTimeout(resolve))
+      assert.equal(observer.value, 'second!')
+      assert.equal(observer.status, 'resolved')
+    })
+
+    it('aborts and stops tracking stale runs', async () => {
+      let counter = 0
+      const reactor = new Reactor({ value: 'foo', other: 'bar' })
+      const gate = deferred()
+      let tracked
+      let tracker = null
+      const observer = new Observer(async () => {
+        counter += 1
+        tracked = trackedContext()
+        tracker = reactor.value
+        await gate.promise
+        return tracked(() => reactor.other)
+      })
+      observer()
+      const staleTracked = tracked
+      assert.equal(staleTracked.stale, false)
+      assert.equal(staleTracked.signal.aborted, false)
+      reactor.value = 'baz'
+      assert.equal(staleTracked.stale, true)
+      assert.equal(staleTracked.signal.aborted, true)
+      gate.resolve()
+      await new Promise(resolve => setTimeout(resolve))
+      assert.equal(counter, 2)
+      assert.equal(tracker, 'baz')
+      reactor.other = 'moo'
+      assert.equal(counter, 3)
+      observer.stop()
+      assert.equal(tracked.stale, true)
+    })
+
+    it('exposes status as a signal', async () => {
+      const statuses = []
+      const gate = deferred()
+      const observer = new Observer(async () => gate.promise)
+      new Observer(() => statuses.push(observer.status))()
+      observer()
+      gate.resolve('foo')
+      await new Promise(resolve => setTimeout(resolve))
+      assert.equal(JSON.stringify(statuses), '["idle","pending","resolved"]')
+    })
+
+    it('fails to get a tracked context outside an observer', () => {
+      assert.throws(() => trackedContext(), {
+        message: 'trackedContext must be called synchronously inside an Observer'
+      })
+    })
+  })
+
+  describe('Cleanup', () => {
+    it('calls cleanups before the next run', () => {
+      const calls = []
+      const reactor = new Reactor({ value: 'foo' })
       new Observer(() => {
-        hide(() => reactor.pop())
+        const value = reactor.value
+        calls.push('run ' + value)
+        onCleanup(() => calls.push('cleanup ' + value))
       })()
+      reactor.value = 'bar'
+      assert.equal(
+        JSON.stringify(calls),
+        '["run foo","cleanup foo","run bar"]'
+      )
     })
 
-    it('can redefine an observer', () => {
-      const reactor = new Reactor({
-        first: 'foo',
-        second: 'bar'
+    it('calls cleanups on stop and only once', () => {
+      let counter = 0
+      const observer = new Observer(() => {
+        onCleanup(() => { counter += 1 })
       })
-      let firstCounter = 0
-      let secondCounter = 0
-      let firstTracker
-      let secondTracker
+      observer()
+      observer.stop()
+      assert.equal(counter, 1)
+      observer.stop()
+      assert.equal(counter, 1)
+      observer.start()
+      assert.equal(counter, 1)
+      observer()
+      assert.equal(counter, 2)
+    })
+
+    it('calls multiple cleanups in order', () => {
+      const calls = []
       const observer = new Observer(() => {
-        firstCounter += 1
-        firstTracker = reactor.first
+        onCleanup(() => calls.push(1))
+        onCleanup(() => calls.push(2))
       })
       observer()
-      assert.equal(firstCounter, 1)
-      assert.equal(secondCounter, 0)
-      assert.equal(firstTracker, 'foo')
-      assert.equal(secondTracker, undefined)
-      observer.execute = () => {
-        secondCounter += 1
-        secondTracker = reactor.second
-      }
-      assert.equal(firstCounter, 1)
-      assert.equal(secondCounter, 1)
-      assert.equal(firstTracker, 'foo')
-      assert.equal(secondTracker, 'bar')
-      reactor.first = 'moo'
-      assert.equal(firstCounter, 1)
-      assert.equal(secondCounter, 1)
-      assert.equal(firstTracker, 'foo')
-      assert.equal(secondTracker, 'bar')
-      reactor.second = 'baz'
-      assert.equal(firstCounter, 1)
-      assert.equal(secondCounter, 2)
-      assert.equal(firstTracker, 'foo')
-      assert.equal(secondTracker, 'baz')
+      observer.stop()
+      assert.equal(JSON.stringify(calls), '[1,2]')
+    })
+
+    it('can register cleanups inside hide blocks', () => {
+      let counter = 0
+      const observer = new Observer(() => {
+        hide(() => onCleanup(() => { counter += 1 }))
+      })
+      observer()
+      observer.stop()
+      assert.equal(counter, 1)
+    })
+
+    it('does not track reads inside cleanups', () => {
+      let counter = 0
+      let tracker = null
+      const reactor = new Reactor({ value: 'foo', other: 'bar' })
+      new Observer(() => {
+        counter += 1
+        tracker = reactor.value
+        onCleanup(() => reactor.other)
+      })()
+      reactor.value = 'baz'
+      reactor.other = 'moo'
+      assert.equal(counter, 2)
+      assert.equal(tracker, 'baz')
+    })
+
+    it('registers returned functions as cleanups when enabled', () => {
+      let counter = 0
+      const observer = new Observer(() => () => { counter += 1 }, {
+        returnsCleanup: true
+      })
+      observer()
+      observer()
+      assert.equal(counter, 1)
+      observer.stop()
+      assert.equal(counter, 2)
+    })
+
+    it('does not register returned functions by default', () => {
+      let counter = 0
+      const observer = new Observer(() => () => { counter += 1 })
+      observer()
+      observer.stop()
+      assert.equal(counter, 0)
     })
 
-    it('delays and combines observer triggers when using batch', () => {
-      const reactor = new Reactor({ value: 'foo' })
+    it('throws cleanup errors after running the observer', () => {
       let counter = 0
+      let tracker = null
+      const reactor = new Reactor({ value: 'foo' })
       new Observer(() => {
         counter += 1
-        return reactor.value
+        tracker = reactor.value
+        onCleanup(() => { throw new Error('cleanup error') })
       })()
-      assert.equal(counter, 1)
-      batch(() => {
-        reactor.value = 'bleep'
-        assert.equal(counter, 1)
-        reactor.value = 'bloop'
-        assert.equal(counter, 1)
-        reactor.value = 'blarp'
-        assert.equal(counter, 1)
+      assert.throws(() => (reactor.value = 'bar'), {
+        message: 'cleanup error'
       })
       assert.equal(counter, 2)
+      assert.equal(tracker, 'bar')
     })
 
-    it('can nest batchers with no consequence', () => {
-      const reactor = new Reactor({ value: 'foo' })
-      let counter = 0
-      new Observer(() => {
-        counter += 1
-        return reactor.value
-      })()
-      assert.equal(counter, 1)
-      batch(() => {
-        reactor.value = 'bleep'
-        assert.equal(counter, 1)
-        reactor.value = 'bloop'
-        assert.equal(counter, 1)
-        reactor.value = 'blarp'
-        assert.equal(counter, 1)
-        batch(() => {
-          reactor.value = 'bink'
-          assert.equal(counter, 1)
-          reactor.value = 'bonk'
-          assert.equal(counter, 1)
-          reactor.value = 'bup'
-          assert.equal(counter, 1)
-        })
+    it('aggregates cleanup errors into a CompoundError', () => {
+      const observer = new Observer(() => {
+        onCleanup(() => { throw new Error('cleanup error 1') })
+        onCleanup(() => { throw new Error('cleanup error 2') })
+      })
+      observer()
+      assert.throws(() => observer.stop(), (error) => {
+        assert.equal(error.name, 'CompoundError')
+        assert.equal(error.cause.length, 2)
+        return true
       })
-      assert.equal(counter, 2)
     })
 
-    it('triggers chained observers', () => {
-      let tracker
-      const reactor = new Reactor({
-        foo: 'bar'
+    it('fails to register cleanups outside an observer', () => {
+      assert.throws(() => onCleanup(() => {}), {
+        message: 'onCleanup must be called inside an Observer'
       })
+      assert.throws(() => new Observer(() => onCleanup('foo'))(), {
+        name: 'TypeError',
+        message: 'Cannot register a non-function cleanup'
+      })
+    })
+  })
+
+  describe('Ownership', () => {
+    it('stops nested observers when the parent reruns', () => {
+      const reactor = new Reactor({ outer: 'foo', inner: 'bar' })
+      let innerCounter = 0
+      let outerTracker = null
+      let innerTracker = null
       new Observer(() => {
-        reactor.bigFoo = reactor.foo.toUpperCase()
-      })()
-      assert.equal(reactor.bigFoo, 'BAR')
-      new Observer(() => {
-        tracker = reactor.bigFoo
+        outerTracker = reactor.outer
+        new Observer(() => {
+          innerCounter += 1
+          innerTracker = reactor.inner
+        })()
       })()
-      assert.equal(tracker, 'BAR')
-      reactor.foo = 'qux'
-      assert.equal(reactor.bigFoo, 'QUX')
-      assert.equal(tracker, 'QUX')
+      assert.equal(innerCounter, 1)
+      reactor.outer = 'moo'
+      assert.equal(outerTracker, 'moo')
+      assert.equal(innerCounter, 2)
+      // Only the inner observer from the latest run is still awake
+      reactor.inner = 'baz'
+      assert.equal(innerCounter, 3)
+      assert.equal(innerTracker, 'baz')
     })
 
-    it('does not redundantly trigger on setting identical values', () => {
-      let counter = 0
-      let tracker
-      const reactor = new Reactor({
-        foo: 'bar'
+    it('stops nested observers when the parent stops', () => {
+      const reactor = new Reactor({ value: 'foo' })
+      let innerCounter = 0
+      const outer = new Observer(() => {
+        new Observer(() => {
+          innerCounter += 1
+          return reactor.value
+        })()
       })
-      new Observer(() => {
-        counter += 1
-        tracker = reactor.foo
-      })()
-      assert.equal(counter, 1)
-      assert.equal(tracker, 'bar')
-      reactor.foo = 'bar'
-      assert.equal(counter, 1)
-      assert.equal(tracker, 'bar')
+      outer()
+      outer.stop()
+      reactor.value = 'bar'
+      assert.equal(innerCounter, 1)
     })
 
-    it('does not redundantly trigger if has check remains the same', () => {
-      let counter = 0
-      let tracker
-      const reactor = new Reactor({
-        foo: 'bar'
+    it('stops nested observers recursively', () => {
+      const reactor = new Reactor({ value: 'foo' })
+      let innermostCounter = 0
+      const outer = new Observer(() => {
+        new Observer(() => {
+          new Observer(() => {
+            innermostCounter += 1
+            return reactor.value
+          })()
+        })()
       })
-      new Observer(() => {
-        counter += 1
-        tracker = 'foo' in reactor
-      })()
-      assert.equal(counter, 1)
-      assert.equal(tracker, true)
-      reactor.foo = 'baz'
-      assert.equal(counter, 1)
-      assert.equal(tracker, true)
+      outer()
+      outer.stop()
+      reactor.value = 'bar'
+      assert.equal(innermostCounter, 1)
     })
 
-    it('does not redundantly trigger if ownKeys check is the same', () => {
-      let counter = 0
-      const reactor = new Reactor({
-        foo: 'bar'
+    it('calls cleanups of nested observers', () => {
+      const calls = []
+      const outer = new Observer(() => {
+        onCleanup(() => calls.push('outer'))
+        new Observer(() => {
+          onCleanup(() => calls.push('inner'))
+        })()
       })
-      new Observer(() => {
-        counter += 1
-        Object.keys(reactor)
-      })()
-      reactor.foo = 'baz'
-      assert.equal(counter, 1)
-      delete reactor.boo
-      assert.equal(counter, 1)
-      delete reactor.foo
-      assert.equal(counter, 2)
-      reactor.foo = 'bar'
-      assert.equal(counter, 3)
+      outer()
+      outer.stop()
+      assert.equal(JSON.stringify(calls), '["inner","outer"]')
+    })
+
+    it('owns observers created inside hide blocks', () => {
+      const reactor = new Reactor({ value: 'foo' })
+      let innerCounter = 0
+      const outer = new Observer(() => {
+        hide(() => new Observer(() => {
+          innerCounter += 1
+          return reactor.value
+        })())
+      })
+      outer()
+      outer.stop()
+      reactor.value = 'bar'
+      assert.equal(innerCounter, 1)
+    })
+
+    it('groups observers with createRoot', () => {
+      const reactor = new Reactor({ value: 'foo' })
+      const counters = [0, 0, 0]
+      const scope = createRoot(() => {
+        new Observer(() => {
+          counters[0] += 1
+          return reactor.value
+        })()
+        new Observer(() => {
+          counters[1] += 1
+          return reactor.value
+        })()
+      })
+      scope.run(() => new Observer(() => {
+        counters[2] += 1
+        return reactor.value
+      })())
+      reactor.value = 'bar'
+      assert.equal(JSON.stringify(counters), '[2,2,2]')
+      assert.equal(scope.dispose(), true)
+      assert.equal(scope.dispose(), false)
+      reactor.value = 'baz'
+      assert.equal(JSON.stringify(counters), '[2,2,2]')
+      assert.throws(() => scope.run(() => {}), {
+        message: 'Cannot run in a disposed scope'
+      })
+    })
+
+    it('detaches roots created inside an observer', () => {
+      const reactor = new Reactor({ outer: 'foo', inner: 'bar' })
+      let innerCounter = 0
+      let tracker = null
+      const outer = new Observer(() => {
+        tracker = reactor.outer
+        createRoot(() => new Observer(() => {
+          innerCounter += 1
+          return reactor.inner
+        })())
+      })
+      outer()
+      assert.equal(tracker, 'foo')
+      outer.stop()
+      reactor.inner = 'baz'
+      assert.equal(innerCounter, 2)
     })
   })
 
@@ -926,5 +3875,349 @@ describe('Observer', () => {
         return true
       })
     })
+
+    it('throws a LoopError when an observer triggers itself', () => {
+      const taskList = new Reactor(['a', 'b', 'c', 'd'])
+      const popper = new Observer(function logTasks () {
+        return taskList.pop()
+      })
+      assert.throws(() => popper(), (error) => {
+        assert(error instanceof LoopError)
+        assert.equal(error.name, 'LoopError')
+        assert(error.message.includes('"logTasks"'))
+        assert(error.message.includes('length'))
+        return true
+      })
+    })
+
+    it('names the nested property path in a LoopError', () => {
+      const reactor = new Reactor({ todos: { count: 0 } })
+      assert.throws(() => new Observer(() => {
+        reactor.todos.count = reactor.todos.count + 1
+      })(), (error) => {
+        assert(error instanceof LoopError)
+        assert(error.message.includes('todos.count'))
+        return true
+      })
+    })
+
+    it('throws a LoopError for indirect loops between observers', () => {
+      const reactor = new Reactor({ seed: 0 })
+      let b = null
+      const a = new Observer(() => reactor.seed + ((b && b.value) || 0) + 1)
+      b = new Observer(() => a.value + 1)
+      a()
+      assert.throws(() => b(), (error) => {
+        assert(error instanceof LoopError)
+        assert(error.message.includes('maximum depth of 100'))
+        return true
+      })
+      a.stop()
+      b.stop()
+    })
+
+    it('allows the max propagation depth to be configured', () => {
+      const reactor = new Reactor({ value: 0 })
+      const chain = [new Observer(() => reactor.value)]
+      for (let i = 0; i < 5; i++) {
+        const previous = chain[chain.length - 1]
+        chain.push(new Observer(() => previous.value))
+      }
+      chain.forEach(observer => observer())
+      setMaxPropagationDepth(3)
+      try {
+        assert.throws(() => (reactor.value = 1), { name: 'LoopError' })
+      } finally {
+        setMaxPropagationDepth(100)
+      }
+      reactor.value = 2
+      assert.equal(chain[chain.length - 1].value, 2)
+      assert.throws(() => setMaxPropagationDepth(0), { name: 'RangeError' })
+    })
+
+    it('passes errors to onError instead of throwing them', () => {
+      const reactor = new Reactor({ value: 1 })
+      const errors = []
+      const observer = new Observer(() => {
+        if (reactor.value > 1) throw new Error('dummy error')
+        return reactor.value
+      }, { onError: (error, failed) => errors.push([error.message, failed]) })
+      observer()
+      reactor.value = 2
+      assert.deepEqual(errors, [['dummy error', observer]])
+      assert.equal(observer.error.message, 'dummy error')
+      assert.equal(observer.status, 'rejected')
+      assert.equal(observer.value, 1)
+    })
+
+    it('passes errors to the global error handler', () => {
+      const reactor = new Reactor({ value: 1 })
+      const errors = []
+      const ownErrors = []
+      new Observer(() => {
+        if (reactor.value > 1) throw new Error('global')
+      })()
+      new Observer(() => {
+        if (reactor.value > 1) throw new Error('own')
+      }, { onError: error => ownErrors.push(error.message) })()
+      setErrorHandler(error => errors.push(error.message))
+      try {
+        reactor.value = 2
+      } finally {
+        setErrorHandler(null)
+      }
+      assert.deepEqual(errors, ['global'])
+      assert.deepEqual(ownErrors, ['own'])
+      assert.throws(() => (reactor.value = 3), { message: 'global' })
+      assert.throws(() => setErrorHandler('log'), {
+        name: 'TypeError',
+        message: 'Error handler can only be set to a function or null'
+      })
+    })
+
+    it('passes async rejections to onError', async () => {
+      const signal = new Signal(1)
+      const errors = []
+      const observer = new Observer(async () => {
+        const value = signal()
+        await Promise.resolve()
+        if (value > 1) throw new Error('async error')
+      }, { onError: error => errors.push(error.message) })
+      await observer()
+      signal(2)
+      await observer.value
+      await new Promise(resolve => setTimeout(resolve, 0))
+      assert.deepEqual(errors, ['async error'])
+    })
+
+    it('passes errors from downstream of async observers to onError', async () => {
+      const errors = []
+      const rejections = []
+      const onRejection = error => rejections.push(error)
+      process.on('unhandledRejection', onRejection)
+      try {
+        const upstream = new Observer(async () => {
+          await Promise.resolve()
+          return 1
+        }, { onError: error => errors.push(error.message) })
+        upstream()
+        new Observer(() => {
+          if (upstream.value) throw new Error('downstream error')
+        })()
+        await new Promise(resolve => setTimeout(resolve, 0))
+      } finally {
+        process.off('unhandledRejection', onRejection)
+      }
+      assert.deepEqual(errors, ['downstream error'])
+      assert.equal(rejections.length, 0)
+    })
+
+    it('clears the value of failed runs unless keeping it', () => {
+      const reactor = new Reactor({ value: 1 })
+      const observer = new Observer(() => {
+        if (reactor.value > 1) throw new Error('dummy error')
+        return reactor.value
+      }, { keepValue: false, onError: () => {} })
+      observer()
+      assert.equal(observer.value, 1)
+      reactor.value = 2
+      assert.equal(observer.value, undefined)
+      assert.throws(() => new Observer(() => {}, { onError: 'log' }), {
+        name: 'TypeError',
+        message: 'Cannot create observer with a non-function onError'
+      })
+    })
+
+    it('exports CompoundError for instanceof checks', () => {
+      const reactor = new Reactor({ value: 1 })
+      new Observer(() => { if (reactor.value > 1) throw new Error('first') })()
+      new Observer(() => { if (reactor.value > 1) throw new Error('second') })()
+      assert.throws(() => (reactor.value = 2), error => error instanceof CompoundError)
+    })
+  })
+})
+
+describe('Computed', () => {
+  it('initializes without error', () => computed(() => {}))
+
+  it('passes instanceof checks', () => {
+    const a = computed(() => {})
+    assert(a instanceof Computed)
+    assert(a instanceof Function)
+  })
+
+  it('fails to initialize with non-function', () => {
+    assert.throws(() => computed('foo'), {
+      name: 'TypeError',
+      message: 'Cannot create computed with a non-function'
+    })
+  })
+
+  it('fails to be written to', () => {
+    const value = computed(() => 'foo')
+    assert.throws(() => value('bar'), {
+      name: 'TypeError',
+      message: 'Cannot write to a computed value'
+    })
+  })
+
+  it('returns the derived value', () => {
+    const reactor = new Reactor({ price: 2, quantity: 3 })
+    const total = computed(() => reactor.price * reactor.quantity)
+    assert.equal(total(), 6)
+    assert.equal(total.peek(), 6)
+  })
+
+  it('does not evaluate until read', () => {
+    let counter = 0
+    const value = computed(() => {
+      counter += 1
+      return 'foo'
+    })
+    assert.equal(counter, 0)
+    value()
+    assert.equal(counter, 1)
+  })
+
+  it('caches the value until a dependency changes', () => {
+    let counter = 0
+    const reactor = new Reactor({ foo: 'bar' })
+    const value = computed(() => {
+      counter += 1
+      return reactor.foo.toUpperCase()
+    })
+    assert.equal(value(), 'BAR')
+    assert.equal(value(), 'BAR')
+    assert.equal(counter, 1)
+    reactor.moo = 'mux'
+    assert.equal(value(), 'BAR')
+    assert.equal(counter, 1)
+    reactor.foo = 'baz'
+    assert.equal(counter, 1)
+    assert.equal(value(), 'BAZ')
+    assert.equal(counter, 2)
+  })
+
+  it('does not recompute on write without consumers', () => {
+    let counter = 0
+    const signal = new Signal(1)
+    const value = computed(() => {
+      counter += 1
+      return signal() * 2
+    })
+    value()
+    signal(2)
+    signal(3)
+    signal(4)
+    assert.equal(counter, 1)
+    assert.equal(value(), 8)
+    assert.equal(counter, 2)
+  })
+
+  it('lets go of computed values nothing reads any more', async () => {
+    const reactor = new Reactor({ a: 1 })
+    let value = computed(() => reactor.a * 2)
+    value()
+    const valueRef = new WeakRef(value)
+    value = null
+    reactor.a = 2
+    reactor.a = 3
+    // WeakRefs keep their target for the rest of the current job
+    await new Promise(resolve => setTimeout(resolve, 0))
+    collectGarbage()
+    assert(typeof valueRef.deref() === 'undefined')
+    assert.equal(debug.getDependents(reactor, 'a').length, 0)
+  })
+
+  it('triggers downstream observers', () => {
+    let tracker
+    const reactor = new Reactor({ foo: 'bar' })
+    const value = computed(() => reactor.foo.toUpperCase())
+    new Observer(() => (tracker = value()))()
+    assert.equal(tracker, 'BAR')
+    reactor.foo = 'baz'
+    assert.equal(tracker, 'BAZ')
+  })
+
+  it('only triggers downstream observers if the value changed', () => {
+    let computeCounter = 0
+    let observerCounter = 0
+    const signal = new Signal(1)
+    const isEven = computed(() => {
+      computeCounter += 1
+      return signal() % 2 === 0
+    })
+    new Observer(() => {
+      observerCounter += 1
+      isEven()
+    })()
+    assert.equal(observerCounter, 1)
+    signal(3)
+    assert.equal(computeCounter, 2)
+    assert.equal(observerCounter, 1)
+    signal(4)
+    assert.equal(computeCounter, 3)
+    assert.equal(observerCounter, 2)
+  })
+
+  it('can chain computed values', () => {
+    const signal = new Signal(1)
+    const double = computed(() => signal() * 2)
+    const quadruple = computed(() => double() * 2)
+    assert.equal(quadruple(), 4)
+    signal(2)
+    assert.equal(quadruple(), 8)
+  })
+
+  it('reads up to date values inside a batch', () => {
+    let observerCounter = 0
+    const signal = new Signal(1)
+    const double = computed(() => signal() * 2)
+    new Observer(() => {
+      observerCounter += 1
+      double()
+    })()
+    batch(() => {
+      signal(2)
+      assert.equal(double(), 4)
+      signal(3)
+      assert.equal(observerCounter, 1)
+    })
+    assert.equal(observerCounter, 2)
+    assert.equal(double(), 6)
+  })
+
+  it('does not subscribe on peek', () => {
+    let counter = 0
+    const signal = new Signal(1)
+    const double = computed(() => signal() * 2)
+    new Observer(() => {
+      counter += 1
+      double.peek()
+    })()
+    signal(2)
+    assert.equal(counter, 1)
+    assert.equal(double.peek(), 4)
+  })
+
+  it('throws a LoopError if it depends on itself', () => {
+    let value = null
+    value = computed(function selfish () { return value() })
+    assert.throws(() => value(), (error) => {
+      assert(error instanceof LoopError)
+      assert(error.message.includes('"selfish"'))
+      return true
+    })
+  })
+
+  it('recomputes after an error', () => {
+    const signal = new Signal(0)
+    const value = computed(() => {
+      if (signal() === 0) throw new Error('dummy error')
+      return signal()
+    })
+    assert.throws(() => value(), { message: 'dummy error' })
+    signal(1)
+    assert.equal(value(), 1)
   })
 })